@@ -211,451 +211,3488 @@ describe('ioredis-memoize', () => {
     })
   })
 
+  describe('keyArgs option', () => {
+    it('should throw if keyArgs is invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, keyArgs: { maxLength: 0 } })).toThrow('`keyArgs.maxLength` must be a positive integer')
+    })
+
+    it('should cache each argument list separately', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:' })
+      let callCount = 0
+      async function getUser (id) {
+        callCount++
+        return { id }
+      }
+      const cached = memoize(getUser, { ttl: 1000, keyArgs: true })
+
+      expect(await cached(1)).toEqual({ id: 1 })
+      expect(await cached(2)).toEqual({ id: 2 })
+      expect(await cached(1)).toEqual({ id: 1 })
+      expect(callCount).toBe(2)
+      expect(JSON.parse(await redis.get('app:getUser:[1]'))).toEqual({ id: 1 })
+      expect(await cached.get(2)).toEqual({ id: 2 })
+    })
+
+    it('should serialize arguments deterministically', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async (...args) => 'result', { key: 'test', ttl: 1000, keyArgs: { maxLength: 1000 } })
+
+      await cached({ b: 1, a: [1, 'x', null, undefined] }, new Set([2, 1]), new Map([['b', 2], ['a', 1]]))
+      await cached(new Date(0), Buffer.from('hi'), 10n, NaN, true, Symbol('s'))
+      expect((await redis.keys('*')).sort()).toEqual([
+        'test:[Date(0),Buffer(aGk=),10n,NaN,true,Symbol(s)]',
+        'test:[{"a":[1,"x",null,undefined],"b":1},Set(1,2),Map("a"=>1,"b"=>2)]'
+      ])
+
+      expect(await cached.get({ a: [1, 'x', null, undefined], b: 1 }, new Set([1, 2]), new Map([['a', 1], ['b', 2]]))).toBe('result')
+    })
+
+    it('should serialize URLs, RegExps and objects with toJSON', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async (value) => ++callCount, { key: 'test', ttl: 1000, keyArgs: true })
+      const nullProto = Object.assign(Object.create(null), { a: 1 })
+
+      expect(await cached(new URL('https://a.example/'))).toBe(1)
+      expect(await cached(new URL('https://b.example/'))).toBe(2)
+      expect(await cached(/a/g)).toBe(3)
+      expect(await cached(/b/)).toBe(4)
+      expect(await cached({ toJSON: () => 'plain' })).toBe(5)
+      expect(await cached(nullProto)).toBe(6)
+      expect(await cached(new URL('https://a.example/'))).toBe(1)
+      expect((await redis.keys('*')).sort()).toEqual([
+        'test:[/a/g]',
+        'test:[/b/]',
+        'test:[Object("plain")]',
+        'test:[URL("https://a.example/")]',
+        'test:[URL("https://b.example/")]',
+        'test:[{"a":1}]'
+      ])
+    })
+
+    it('should throw for other class instances', async () => {
+      const memoize = Memoize({ client: redis })
+      class Point {
+        #x
+        constructor (x) { this.#x = x }
+      }
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, keyArgs: true })
+
+      await expect(cached(new Point(1))).rejects.toThrow('`keyArgs` cannot serialize Point arguments, give them a toJSON method or use a `key` function')
+      await expect(cached(Object.create(Object.create(null)))).rejects.toThrow('`keyArgs` cannot serialize Object arguments')
+      expect(await redis.keys('*')).toEqual([])
+    })
+
+    it('should handle circular references', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, keyArgs: true })
+      const shared = { x: 1 }
+      const obj = { shared, again: shared }
+      obj.self = obj
+
+      await cached(obj)
+      expect(await redis.keys('*')).toEqual(['test:[{"again":{"x":1},"self":[Circular],"shared":{"x":1}}]'])
+    })
+
+    it('should hash long serializations', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, keyArgs: { maxLength: 16 } })
+
+      await cached('short')
+      await cached('a much longer argument')
+      await cached('a much longer argument')
+      const keys = await redis.keys('*')
+      expect(keys.length).toBe(2)
+      expect(keys).toContain('test:["short"]')
+      expect(keys.find(key => key !== 'test:["short"]')).toMatch(/^test:[0-9a-f]{64}$/)
+    })
+
+    it('should not affect function keys', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: (id) => `item:${id}`, ttl: 1000, keyArgs: true })
+
+      await cached(1)
+      expect(await redis.keys('*')).toEqual(['item:1'])
+    })
+  })
+
+  describe('version and generation options', () => {
+    it('should throw if version options are invalid', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, version: {} })).toThrow('`version` must be a string or a number')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, generation: { ttl: -1 } })).toThrow('`generation.ttl` must be a non-negative number of milliseconds')
+      await expect(memoize(fn, { key: 'test', ttl: 1000 }).bumpVersion()).rejects.toThrow('`generation` must be enabled to bump the version')
+      await expect(memoize(async () => 'test', { key: () => 'test', ttl: 1000, generation: true }).bumpVersion()).rejects.toThrow('`key` must be a string or `fn` a named function to bump its version')
+      await expect(Memoize().bumpVersion()).rejects.toThrow('`client` must implement incr to bump the version')
+    })
+
+    it('should add the version to keys', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', version: 2 })
+      const cached = memoize(async function getUser (id) { return { id } }, { ttl: 1000, keyArgs: true })
+      const other = memoize(async () => 'result', { key: () => 'other', ttl: 1000, version: 'beta' })
+
+      await cached(1)
+      await other()
+      expect((await redis.keys('*')).sort()).toEqual(['app:v2:getUser:[1]', 'app:vbeta:other'])
+      expect(await cached.get(1)).toEqual({ id: 1 })
+    })
+
+    it('should make entries unreachable after a bump', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000, generation: { ttl: 0 } })
+      let callCount = 0
+      const a = memoize(async function a () { return `a-${++callCount}` })
+      const b = memoize(async function b () { return `b-${++callCount}` })
+      const c = memoize(async () => 'c', { key: () => 'c' })
+
+      expect(await a()).toBe('a-1')
+      expect(await b()).toBe('b-2')
+      expect(await c()).toBe('c')
+      expect((await redis.keys('app:g*')).sort()).toEqual(['app:g0.0:a', 'app:g0.0:b', 'app:g0.0:c'])
+
+      expect(await a.bumpVersion()).toBe(1)
+      expect(await a()).toBe('a-3')
+      expect(await b()).toBe('b-2')
+      expect(await redis.get('app:generation:a')).toBe('1')
+
+      expect(await memoize.bumpVersion()).toBe(1)
+      expect(await a()).toBe('a-4')
+      expect(await b()).toBe('b-5')
+      expect(await c()).toBe('c')
+      expect((await redis.keys('app:g1*')).sort()).toEqual(['app:g1.0:b', 'app:g1.0:c', 'app:g1.1:a'])
+    })
+
+    it('should reuse generations for generation.ttl', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000, generation: { ttl: 100 } })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test' })
+
+      expect(await cached()).toBe(1)
+      // Bumped by another instance
+      await redis.incr('generation:test')
+      expect(await cached()).toBe(1)
+
+      await new Promise(resolve => setTimeout(resolve, 150))
+      expect(await cached()).toBe(2)
+      expect(await cached.bumpVersion()).toBe(2)
+      expect(await cached()).toBe(3)
+    })
+
+    it('should bypass the cache when generations cannot be read', async () => {
+      const errors = []
+      const client = {
+        get: async (key) => {
+          if (key === 'generation') throw new Error('redis error')
+          return redis.get(key)
+        },
+        set: (...args) => redis.set(...args),
+        del: (key) => redis.del(key)
+      }
+      const memoize = Memoize({ client, onError: (_, info) => errors.push(info) })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test', ttl: 1000, generation: true })
+
+      expect(await cached()).toBe(1)
+      expect(await cached()).toBe(2)
+      expect(await redis.keys('*')).toEqual([])
+      expect(errors).toEqual([{ operation: 'generation', key: '' }, { operation: 'generation', key: '' }])
+    })
+  })
+
+  describe('clearAll and clearPrefix methods', () => {
+    it('should throw if clear options are invalid', async () => {
+      const memoize = Memoize({ client: redis })
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      await expect(memoize(async () => 'test', { key: () => 'test', ttl: 1000 }).clearAll()).rejects.toThrow('`key` must be a string to clear all entries')
+      await expect(memoize(async () => 'test', { key: 'test', ttl: 1000 }).clearAll({ count: 0 })).rejects.toThrow('`count` must be a positive integer')
+      await expect(memoize(async () => 'test', { key: 'test', ttl: 1000 }).clearAll(null)).rejects.toThrow('`options` must be object!')
+      await expect(memoize(async () => 'test', { client: mockRedis, key: 'test', ttl: 1000 }).clearAll()).rejects.toThrow('`client` must implement scan and unlink to clear entries')
+      await expect(memoize(async () => 'test', { client: Object.assign({ scan: redis.scan, unlink: redis.unlink }, mockRedis), key: 'test', ttl: 1000 }).clearAll({ dryRun: true })).rejects.toThrow('`client` must implement exists for a dry run')
+      await expect(memoize.clearPrefix()).rejects.toThrow('`prefix` must be a non-empty string')
+      await expect(Memoize({ prefix: 'app:' }).clearPrefix()).rejects.toThrow('`client` must implement scan and unlink to clear entries')
+    })
+
+    it('should clear all entries of a function', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000 })
+      let callCount = 0
+      const getUser = memoize(async function getUser (id) {
+        callCount++
+        return { id }
+      }, { keyArgs: true, local: true })
+      const getUserPosts = memoize(async function getUserPosts () { return [] })
+
+      await Promise.all([getUser(), getUser(1), getUser(2), getUser(3), getUserPosts()])
+      expect(await getUser.clearAll({ count: 1, dryRun: true })).toBe(4)
+      expect(await getUser(1)).toEqual({ id: 1 })
+      expect(callCount).toBe(4)
+
+      expect(await getUser.clearAll()).toBe(4)
+      expect(await redis.keys('*')).toEqual(['app:getUserPosts'])
+      expect(await getUser(1)).toEqual({ id: 1 })
+      expect(callCount).toBe(5)
+      expect(await getUser.clearAll({ count: 1 })).toBe(1)
+    })
+
+    it('should not clear functions whose key starts with the key', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      const user = memoize(async () => 'user', { key: 'user', keyArgs: { maxLength: 8 } })
+      const profile = memoize(async () => 'profile', { key: 'user:profile', keyArgs: true })
+
+      await Promise.all([user(), user(1), user('a long argument'), profile(), profile(1)])
+      const hashed = (await redis.keys('user:*')).find(key => /^user:[0-9a-f]{64}$/.test(key))
+      await Promise.all(['user:lock', 'user:[1]:lock', hashed + ':lock', 'user:profile:lock'].map(key => redis.set(key, 'token')))
+
+      expect(await user.clearAll({ dryRun: true })).toBe(6)
+      expect(await user.clearAll()).toBe(6)
+      expect((await redis.keys('*')).sort()).toEqual(['user:profile:[1]', 'user:profile:[]', 'user:profile:lock'])
+    })
+
+    it('should clear the current namespace only', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000, version: 2, generation: true })
+      const cached = memoize(async () => 'result', { key: 'test', keyArgs: true })
+
+      await cached(1)
+      await redis.set('v1:g0.0:test:[1]', JSON.stringify('old'))
+      expect(await cached.clearAll()).toBe(1)
+      expect(await redis.keys('*')).toEqual(['v1:g0.0:test:[1]'])
+    })
+
+    it('should skip clearAll when generations cannot be read', async () => {
+      const client = {
+        get: async () => { throw new Error('redis error') },
+        set: (...args) => redis.set(...args),
+        del: (key) => redis.del(key),
+        scan: (...args) => redis.scan(...args),
+        unlink: (...args) => redis.unlink(...args)
+      }
+      const memoize = Memoize({ client })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, generation: true })
+
+      await redis.set('g0.0:test', JSON.stringify('result'))
+      expect(await cached.clearAll()).toBe(0)
+      expect(await redis.keys('*')).toEqual(['g0.0:test'])
+    })
+
+    it('should clear keys by prefix', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000 })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test', local: true })
+
+      await cached()
+      await redis.set('app:other', 'x')
+      await redis.set('other:test', 'x')
+      expect(await memoize.clearPrefix(undefined, { dryRun: true })).toBe(2)
+      expect(await cached()).toBe(1)
+
+      expect(await memoize.clearPrefix()).toBe(2)
+      expect(await redis.keys('*')).toEqual(['other:test'])
+      expect(await cached()).toBe(2)
+      expect(await memoize.clearPrefix('other:')).toBe(1)
+    })
+
+    it('should clear every master of a cluster', async () => {
+      const other = new Redis({ db: 1 })
+      const cluster = {
+        get: (key) => redis.get(key),
+        set: (...args) => redis.set(...args),
+        del: (key) => redis.del(key),
+        scan: () => { throw new Error('not a node') },
+        unlink: () => { throw new Error('not a node') },
+        nodes: (role) => role === 'master' ? [redis, other] : []
+      }
+      const memoize = Memoize({ client: cluster, prefix: 'app:' })
+
+      await redis.set('app:a', 'x')
+      await redis.set('app:b', 'x')
+      await other.set('app:c', 'x')
+      expect(await memoize.clearPrefix('app:', { dryRun: true })).toBe(3)
+      expect(await memoize.clearPrefix()).toBe(3)
+      expect(await redis.keys('*')).toEqual([])
+      expect(await other.keys('*')).toEqual([])
+      await other.quit()
+    })
+  })
+
+  describe('batch method', () => {
+    it('should throw if batch options are invalid', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      const fn = async (ids) => ids
+      expect(() => memoize.batch('test', { key: 'test' })).toThrow('`fn` must be a function')
+      expect(() => memoize.batch(fn, { client: mockRedis, key: 'test' })).toThrow('`client` must implement mget and pipeline for batch functions')
+      expect(() => memoize.batch(fn, { key: 'test', prefix: 1 })).toThrow('`prefix` must be a string')
+      expect(() => memoize.batch(fn, { key: 123 })).toThrow('`key` must be string or function!')
+      expect(() => memoize.batch(fn, { key: 'test', ttl: 0 })).toThrow('`ttl` must be a positive number of milliseconds')
+      expect(() => Memoize({ client: redis }).batch(fn)).toThrow('`ttl` must be a positive number of milliseconds')
+      expect(() => memoize.batch(fn, { key: 'test', codec: 'unknown' })).toThrow('`codec` must be \'json\', \'typed\' or an object with encode/decode methods')
+      expect(() => memoize.batch(fn, { key: 'test', onError: true })).toThrow('`onError` must be a function')
+      expect(() => memoize.batch(fn, { key: 'test', version: {} })).toThrow('`version` must be a string or a number')
+      expect(() => memoize.batch(fn, { key: 'test', generation: { ttl: -1 } })).toThrow('`generation.ttl` must be a non-negative number of milliseconds')
+      expect(() => memoize.batch(fn, { client: { mget: async () => [], pipeline: () => {} }, key: 'test', generation: true })).toThrow('`client` must implement get when `generation` is enabled')
+      expect(() => memoize.batch(fn, { key: 'test', operationTimeout: -1 })).toThrow('`operationTimeout` must be a non-negative number of milliseconds')
+      expect(() => memoize.batch(fn, { key: 'test', circuitBreaker: { threshold: 0 } })).toThrow('`circuitBreaker.threshold` must be a positive integer')
+      expect(() => memoize.batch(fn, { key: 'test', circuitBreaker: true })).not.toThrow()
+      await expect(memoize.batch(fn, { key: 'test' })('1')).rejects.toThrow('`ids` must be an array')
+      await expect(memoize.batch(fn, { key: 'test' })([{ id: 1 }])).rejects.toThrow('`ids` must be strings or numbers with a string `key`')
+      await expect(memoize.batch(fn, { key: () => 1 })([1])).rejects.toThrow('`key` function must return a string')
+      await expect(memoize.batch(async () => [], { key: 'test' })([1])).rejects.toThrow('`fn` must return an array with one result per id')
+      await expect(memoize.batch(fn, { key: 'test', ttl: () => 0 })([1])).rejects.toThrow('`ttl` function must return a positive number of milliseconds')
+    })
+
+    it('should only call fn with missing ids', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:' })
+      const calls = []
+      const getUsers = memoize.batch(async function user (ids) {
+        calls.push(ids)
+        return ids.map(id => ({ id }))
+      }, 1000)
+
+      expect(await getUsers([1, 2, 3])).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }])
+      expect(await getUsers([3, 4, 2, 4])).toEqual([{ id: 3 }, { id: 4 }, { id: 2 }, { id: 4 }])
+      expect(await getUsers([])).toEqual([])
+      expect(await getUsers.raw([5])).toEqual([{ id: 5 }])
+      expect(calls).toEqual([[1, 2, 3], [4], [5]])
+      expect(JSON.parse(await redis.get('app:user:4'))).toEqual({ id: 4 })
+      expect(await redis.pttl('app:user:4')).toBeGreaterThan(900)
+      expect(getUsers.stats()).toMatchObject({ hits: 2, misses: 4, sets: 4, computes: 2 })
+    })
+
+    it('should support key and ttl functions', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize.batch(async (ids) => ids.map(id => id === 'none' ? undefined : id.toUpperCase()), {
+        key: async (id) => `item:${id}`,
+        ttl: (result, id) => id === 'a' ? 500 : 1000
+      })
+
+      expect(await cached(['a', 'b', 'none'])).toEqual(['A', 'B', undefined])
+      expect(await cached(['none'])).toEqual([undefined])
+      expect((await redis.keys('*')).sort()).toEqual(['item:a', 'item:b'])
+      expect(await redis.pttl('item:a')).toBeLessThanOrEqual(500)
+      expect(await redis.pttl('item:b')).toBeGreaterThan(500)
+    })
+
+    it('should use the version and generations of memoized functions', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'p:', ttl: 1000, version: 2, generation: true })
+      let callCount = 0
+      const getUsers = memoize.batch(async function user (ids) {
+        callCount++
+        return ids
+      })
+      const getUser = memoize(async function user (id) { return id })
+
+      await getUsers([1])
+      await getUser(1)
+      expect((await redis.keys('*')).sort()).toEqual(['p:v2:g0.0:user', 'p:v2:g0.0:user:1'])
+
+      await memoize.bumpVersion()
+      await getUser.bumpVersion()
+      await getUsers([1])
+      expect(callCount).toBe(2)
+      expect(await redis.exists('p:v2:g1.1:user:1')).toBe(1)
+    })
+
+    it('should call fn without caching when generations cannot be read', async () => {
+      const errors = []
+      const client = Object.assign(Object.create(redis), { get: async () => { throw new Error('get error') } })
+      const memoize = Memoize({ client, ttl: 1000, generation: true, onError: (err, info) => errors.push([err.message, info]) })
+
+      expect(await memoize.batch(async (ids) => ids, { key: 'test' })([1, 2])).toEqual([1, 2])
+      expect(await redis.keys('*')).toEqual([])
+      expect(errors).toEqual([['get error', { operation: 'generation', key: '' }]])
+    })
+
+    it('should time out reads and writes and open the circuit', async () => {
+      const errors = []
+      const stalled = () => new Promise(() => {})
+      const client = {
+        get: stalled,
+        set: async () => {},
+        del: async () => {},
+        mget: stalled,
+        pipeline: () => ({ set: () => {}, exec: stalled })
+      }
+      const memoize = Memoize({ client, ttl: 1000, operationTimeout: 20, circuitBreaker: { threshold: 2, cooldown: 1000 }, onError: (err, info) => errors.push([err.name, info]) })
+      let callCount = 0
+      const cached = memoize.batch(async (ids) => {
+        callCount++
+        return ids
+      }, { key: 'test' })
+      const versioned = memoize.batch(async (ids) => ids, { key: 'test', generation: true })
+
+      expect(await cached([1])).toEqual([1])
+      expect(errors).toEqual([
+        ['TimeoutError', { operation: 'get', key: 'test:1' }],
+        ['TimeoutError', { operation: 'set', key: 'test:1' }]
+      ])
+      expect(await cached([1])).toEqual([1])
+      expect(await versioned([1])).toEqual([1])
+      expect(callCount).toBe(2)
+      expect(errors).toHaveLength(2)
+      expect(cached.stats()).toMatchObject({ misses: 2, computes: 2 })
+    })
+
+    it('should reset the failure count after a successful call', async () => {
+      let reads = 0
+      const client = Object.assign(Object.create(redis), {
+        mget: async (...keys) => {
+          if (++reads % 2) throw new Error('mget error')
+          return redis.mget(...keys)
+        }
+      })
+      const memoize = Memoize({ client, ttl: 1000, circuitBreaker: { threshold: 2, cooldown: 1000 }, onError: () => {} })
+      const cached = memoize.batch(async (ids) => ids, { key: 'test' })
+
+      for (let id = 1; id <= 4; id++) {
+        await cached([id])
+      }
+      expect(reads).toBe(4)
+    })
+
+    it('should report read and write errors', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis, onError: (err, info) => errors.push([err.message, info]) })
+      let callCount = 0
+      const cached = memoize.batch(async (ids) => {
+        callCount++
+        return ids.map(id => id === 2 ? 2n : id)
+      }, { key: 'test', ttl: 1000 })
+
+      await redis.set('test:1', 'invalid json')
+      expect(await cached([1, 2])).toEqual([1, 2n])
+      expect(callCount).toBe(1)
+      expect(errors).toEqual([
+        [expect.stringContaining('JSON'), { operation: 'get', key: 'test:1' }],
+        ['Do not know how to serialize a BigInt', { operation: 'set', key: 'test:2' }]
+      ])
+      expect(await redis.get('test:1')).toBe('1')
+    })
+
+    it('should call fn when redis fails', async () => {
+      const errors = []
+      const pipeline = (exec) => () => ({ set: () => {}, exec })
+      const client = {
+        get: async () => null,
+        set: async () => {},
+        del: async () => {},
+        mget: async () => { throw new Error('mget error') },
+        pipeline: pipeline(async () => { throw new Error('exec error') })
+      }
+      const memoize = Memoize({ client, ttl: 1000, onError: (err, info) => errors.push([err.message, info]) })
+      const fn = async (ids) => ids
+
+      expect(await memoize.batch(fn, { key: 'test' })([1, 2])).toEqual([1, 2])
+      const partial = memoize.batch(fn, {
+        key: 'test',
+        client: Object.assign({}, client, { pipeline: pipeline(async () => [[null, 'OK'], [new Error('OOM')]]) })
+      })
+      expect(await partial([3, 4])).toEqual([3, 4])
+      expect(partial.stats()).toMatchObject({ sets: 1, errors: 2 })
+      expect(errors).toEqual([
+        ['mget error', { operation: 'get', key: 'test:1' }],
+        ['exec error', { operation: 'set', key: 'test:1' }],
+        ['mget error', { operation: 'get', key: 'test:3' }],
+        ['OOM', { operation: 'set', key: 'test:4' }]
+      ])
+    })
+  })
+
+  describe('autoBatch option', () => {
+    let calls
+    let client
+
+    beforeEach(() => {
+      calls = []
+      client = {
+        get: (key) => { calls.push('get'); return redis.get(key) },
+        getBuffer: (key) => { calls.push('getBuffer'); return redis.getBuffer(key) },
+        getex: (...args) => { calls.push('getex'); return redis.getex(...args) },
+        set: (...args) => { calls.push('set'); return redis.set(...args) },
+        del: (key) => redis.del(key),
+        mget: (...keys) => { calls.push(['mget', keys]); return redis.mget(...keys) },
+        mgetBuffer: (...keys) => { calls.push(['mgetBuffer', keys]); return redis.mgetBuffer(...keys) },
+        pipeline: () => {
+          const pipeline = redis.pipeline()
+          const set = pipeline.set.bind(pipeline)
+          pipeline.set = (key, ...args) => { calls.push(['pipeline.set', key]); return set(key, ...args) }
+          return pipeline
+        }
+      }
+    })
+
+    it('should throw if client does not support batching', () => {
+      const memoize = Memoize({ client: { get: async () => null, set: async () => {}, del: async () => {} }, autoBatch: true })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000 })).toThrow('`client` must implement mget and pipeline when `autoBatch` is enabled')
+      expect(() => memoize(fn, { client: Object.assign({}, client, { mgetBuffer: undefined }), key: 'test', ttl: 1000, compress: true })).toThrow('`client` must implement mgetBuffer when `autoBatch` and `compress` are enabled')
+    })
+
+    it('should batch reads and writes of the same tick', async () => {
+      const memoize = Memoize({ client, ttl: 1000, autoBatch: true })
+      const a = memoize(async function a (id) { return `a${id}` }, { keyArgs: true })
+      const b = memoize(async function b (id) { return `b${id}` }, { keyArgs: true })
+
+      expect(await Promise.all([a(1), b(2), a(3)])).toEqual(['a1', 'b2', 'a3'])
+      expect(calls).toEqual([
+        ['mget', ['a:[1]', 'b:[2]', 'a:[3]']],
+        ['pipeline.set', 'a:[1]'],
+        ['pipeline.set', 'b:[2]'],
+        ['pipeline.set', 'a:[3]']
+      ])
+      expect(await redis.pttl('a:[1]')).toBeGreaterThan(900)
+
+      calls = []
+      expect(await Promise.all([a(1), b(2), b(4)])).toEqual(['a1', 'b2', 'b4'])
+      expect(await a(1)).toBe('a1')
+      expect(calls).toEqual([
+        ['mget', ['a:[1]', 'b:[2]', 'b:[4]']],
+        ['pipeline.set', 'b:[4]'],
+        ['mget', ['a:[1]']]
+      ])
+    })
+
+    it('should batch compressed reads and not sliding reads', async () => {
+      const memoize = Memoize({ client, ttl: 1000, autoBatch: true })
+      const compressed = memoize(async () => 'x'.repeat(100), { key: 'compressed', compress: { threshold: 10 } })
+      const sliding = memoize(async () => 'sliding', { key: 'sliding', sliding: true })
+
+      await Promise.all([compressed(), sliding()])
+      expect(calls.slice(0, 2)).toEqual(['getex', ['mgetBuffer', ['compressed']]])
+      // The compressed value is written once compressed
+      expect(calls.slice(2).sort()).toEqual([['pipeline.set', 'compressed'], ['pipeline.set', 'sliding']])
+
+      calls = []
+      expect(await Promise.all([compressed(), sliding()])).toEqual(['x'.repeat(100), 'sliding'])
+      expect(calls).toEqual(['getex', ['mgetBuffer', ['compressed']]])
+    })
+
+    it('should report batched read and write errors', async () => {
+      const errors = []
+      const failing = Object.assign({}, client, {
+        mget: () => { throw new Error('mget error') },
+        pipeline: () => ({ set: () => {}, exec: async () => [[null, 'OK'], [new Error('OOM')]] })
+      })
+      const memoize = Memoize({ client: failing, ttl: 1000, autoBatch: true, onError: (err, info) => errors.push([err.message, info]) })
+      const cached = memoize(async (id) => id, { key: 'test', keyArgs: true })
+
+      expect(await Promise.all([cached(1), cached(2)])).toEqual([1, 2])
+      expect(errors).toEqual([
+        ['mget error', { operation: 'get', key: 'test:[1]' }],
+        ['mget error', { operation: 'get', key: 'test:[2]' }],
+        ['OOM', { operation: 'set', key: 'test:[2]' }]
+      ])
+    })
+  })
+
+  describe('hashTag option', () => {
+    // Redis Cluster slot of a key: CRC16 of its hash tag, or of the whole key
+    function keySlot (key) {
+      const start = key.indexOf('{')
+      const end = start === -1 ? -1 : key.indexOf('}', start + 1)
+      let crc = 0
+      for (const byte of Buffer.from(end > start + 1 ? key.slice(start + 1, end) : key)) {
+        crc ^= byte << 8
+        for (let i = 0; i < 8; i++) {
+          crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+        }
+      }
+      return crc % 16384
+    }
+
+    // Cluster stand-in rejecting multi-key commands spanning slots
+    function createCluster (calls) {
+      const check = (command, keys) => {
+        calls.push([command, keys])
+        if (new Set(keys.map(keySlot)).size > 1) {
+          throw new Error('CROSSSLOT Keys in request don\'t hash to the same slot')
+        }
+      }
+      return {
+        get: (key) => redis.get(key),
+        set: (...args) => redis.set(...args),
+        del: (key) => redis.del(key),
+        exists: (key) => redis.exists(key),
+        zrange: (...args) => redis.zrange(...args),
+        zrem: (...args) => redis.zrem(...args),
+        eval: (script, numKeys, ...args) => {
+          check('eval', args.slice(0, numKeys))
+          return redis.eval(script, numKeys, ...args)
+        },
+        mget: async (...keys) => {
+          check('mget', keys)
+          return redis.mget(...keys)
+        },
+        unlink: async (...keys) => {
+          check('unlink', keys)
+          return redis.unlink(...keys)
+        },
+        pipeline: () => {
+          const keys = []
+          const pipeline = redis.pipeline()
+          return {
+            set: (key, ...args) => {
+              keys.push(key)
+              pipeline.set(key, ...args)
+            },
+            exec: async () => {
+              check('pipeline', keys)
+              return pipeline.exec()
+            }
+          }
+        },
+        nodes: () => [redis]
+      }
+    }
+
+    it('should check the stand-in slots', () => {
+      expect(keySlot('foo')).toBe(12182)
+      expect(keySlot('{user1000}.following')).toBe(keySlot('user1000'))
+      expect(keySlot('{}foo')).toBe(keySlot('{}foo'))
+    })
+
+    it('should throw if hashTag is invalid', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      expect(() => memoize(async () => 'test', { key: 'test', hashTag: 'yes' })).toThrow('`hashTag` must be a boolean or a function')
+      expect(() => memoize(async () => 'test', { key: () => 'test', hashTag: true })).toThrow('`hashTag` requires a string key or a named function')
+      await expect(memoize(async () => 'test', { key: 'test', hashTag: () => '' })()).rejects.toThrow('`hashTag` function must return a non-empty string')
+      await expect(memoize(async () => 'test', { key: 'test', hashTag: () => 'tag' }).clearAll()).rejects.toThrow('`hashTag` must not be a function to clear all entries')
+      expect(() => memoize.batch(async (ids) => ids, { key: () => 'test', hashTag: true })).toThrow('`hashTag` must be a function, or a boolean with a string key')
+      await expect(memoize.batch(async (ids) => ids, { key: (id) => `k${id}`, hashTag: () => undefined })([1])).rejects.toThrow('`hashTag` function must return a non-empty string')
+    })
+
+    it('should wrap part of keys in a hash tag', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000, version: 2 })
+      const getUser = memoize(async function getUser (id) { return { id } }, { keyArgs: true, hashTag: true, lock: true })
+      const getPosts = memoize(async function getPosts (id) { return [] }, { key: (id) => `posts:${id}`, hashTag: true })
+      const getFriends = memoize(async function getFriends (id) { return [] }, { keyArgs: true, hashTag: async (id) => `user:${id}` })
+
+      await getUser(1)
+      await getPosts(1)
+      await getFriends(1)
+      expect((await redis.keys('*')).sort()).toEqual(['app:v2:{getPosts}:posts:1', 'app:v2:{getUser}:[1]', 'app:v2:{user:1}:getFriends:[1]'])
+      expect(keySlot('app:v2:{getUser}:[1]:lock')).toBe(keySlot('app:v2:{getUser}:[2]'))
+
+      await getUser(2)
+      expect(await getUser.clearAll()).toBe(2)
+    })
+
+    it('should batch reads and writes per slot on a cluster', async () => {
+      const calls = []
+      const errors = []
+      const memoize = Memoize({ client: createCluster(calls), ttl: 1000, autoBatch: true, onError: (err) => errors.push(err) })
+      const a = memoize(async function a (id) { return `a${id}` }, { keyArgs: true, hashTag: true })
+      const b = memoize(async function b (id) { return `b${id}` }, { keyArgs: true })
+
+      expect(await Promise.all([a(1), b(1), a(2), b(2)])).toEqual(['a1', 'b1', 'a2', 'b2'])
+      expect(errors).toEqual([])
+      expect(calls.filter(([command]) => command === 'mget')).toEqual([
+        ['mget', ['{a}:[1]', '{a}:[2]']],
+        ['mget', ['b:[1]']],
+        ['mget', ['b:[2]']]
+      ])
+      expect(calls.filter(([command]) => command === 'pipeline')).toEqual([
+        ['pipeline', ['{a}:[1]', '{a}:[2]']],
+        ['pipeline', ['b:[1]']],
+        ['pipeline', ['b:[2]']]
+      ])
+    })
+
+    it('should batch ids per slot on a cluster', async () => {
+      const calls = []
+      const memoize = Memoize({ client: createCluster(calls), ttl: 1000, onError: (err) => { throw err } })
+      const getUsers = memoize.batch(async (ids) => ids, { key: 'user', hashTag: true })
+      const getPosts = memoize.batch(async (ids) => ids, { key: (id) => `posts:${id}`, hashTag: (id) => `user:${id}` })
+      const getFriends = memoize.batch(async (ids) => ids, { key: 'friends', hashTag: (id) => `user:${id % 2}` })
+
+      expect(await getFriends([1, 2, 3])).toEqual([1, 2, 3])
+      expect(calls.splice(0)).toEqual([
+        ['mget', ['{user:1}:friends:1', '{user:1}:friends:3']],
+        ['mget', ['{user:0}:friends:2']],
+        ['pipeline', ['{user:1}:friends:1', '{user:1}:friends:3']],
+        ['pipeline', ['{user:0}:friends:2']]
+      ])
+      expect(await getUsers([1, 2, 3])).toEqual([1, 2, 3])
+      expect(await getPosts([1, 2])).toEqual([1, 2])
+      expect(await getPosts([1])).toEqual([1])
+      expect(calls).toEqual([
+        ['mget', ['{user}:1', '{user}:2', '{user}:3']],
+        ['pipeline', ['{user}:1', '{user}:2', '{user}:3']],
+        ['mget', ['{user:1}:posts:1']],
+        ['mget', ['{user:2}:posts:2']],
+        ['pipeline', ['{user:1}:posts:1']],
+        ['pipeline', ['{user:2}:posts:2']],
+        ['mget', ['{user:1}:posts:1']]
+      ])
+    })
+    it('should invalidate tagged entries per slot on a cluster', async () => {
+      const calls = []
+      const memoize = Memoize({ client: createCluster(calls), ttl: 1000, onError: (err) => { throw err } })
+      const a = memoize(async function a (id) { return `a${id}` }, { keyArgs: true, hashTag: true, tags: ['t'] })
+      const b = memoize(async function b (id) { return `b${id}` }, { keyArgs: true, tags: ['t'] })
+
+      await Promise.all([a(1), a(2), b(1)])
+      expect(await memoize.invalidateTags(['t'])).toBe(3)
+      expect(calls.filter(([command]) => command === 'unlink').map(([, keys]) => keys.sort()).sort()).toEqual([
+        ['b:[1]'],
+        ['{a}:[1]', '{a}:[2]']
+      ])
+      expect(await redis.exists('{a}:[1]', '{a}:[2]', 'b:[1]')).toBe(0)
+      expect(await redis.zcard('tag:t')).toBe(0)
+    })
+  })
+
+  describe('storage option', () => {
+    it('should throw if storage is invalid', () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => memoize(async () => 'test', { key: 'test', storage: 'list' })).toThrow('`storage` must be \'key\' or \'hash\'')
+      expect(() => memoize(async () => 'test', { key: () => 'test', storage: 'hash' })).toThrow('`storage: \'hash\'` requires a string key or a named function')
+      expect(() => memoize(async () => 'test', { key: 'test', storage: 'hash', get: async () => {} })).toThrow('`storage: \'hash\'` cannot be combined with custom `get`/`set`')
+      expect(() => memoize(async () => 'test', { key: 'test', storage: 'hash', sliding: true })).toThrow('`storage: \'hash\'` cannot be combined with `sliding`, `tags` or a `hashTag` function')
+      expect(() => memoize(async () => 'test', { key: 'test', storage: 'hash', hashTag: () => 'tag' })).toThrow('`storage: \'hash\'` cannot be combined with `sliding`, `tags` or a `hashTag` function')
+      expect(() => memoize(async () => 'test', { client: mockRedis, key: 'test', storage: 'hash' })).toThrow('`client` must implement hget, hdel, hlen and eval when `storage` is \'hash\'')
+      const hashRedis = Object.assign({ hget: redis.hget, hdel: redis.hdel, hlen: redis.hlen, eval: redis.eval }, mockRedis)
+      expect(() => memoize(async () => 'test', { client: hashRedis, key: 'test', storage: 'hash', compress: true })).toThrow('`client` must implement hgetBuffer when `storage` is \'hash\' and `compress` is enabled')
+      expect(() => memoize(async () => 'test', { key: 'test', storage: 'key' })).not.toThrow()
+    })
+
+    it('should store entries as fields of one hash per function', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000, storage: 'hash' })
+      let callCount = 0
+      const getUser = memoize(async function getUser (id) {
+        callCount++
+        return { id }
+      })
+      const getPosts = memoize(async function getPosts (id) { return [id] }, { key: (id) => `user:${id}`, hashTag: true })
+      const getNothing = memoize(async function getNothing () {})
+
+      expect(await getNothing()).toBeUndefined()
+      expect(await getUser(1)).toEqual({ id: 1 })
+      expect(await getUser(1)).toEqual({ id: 1 })
+      expect(await getUser(2)).toEqual({ id: 2 })
+      expect(await getPosts(1)).toEqual([1])
+      expect(callCount).toBe(2)
+      expect((await redis.keys('*')).sort()).toEqual(['app:getUser', 'app:{getPosts}'])
+      expect(Object.keys(await redis.hgetall('app:getUser'))).toEqual(['[1]', '[2]'])
+      expect(await redis.hget('app:getUser', '[1]')).toMatch(/^\d+:\{"id":1\}$/)
+      expect(await redis.hget('app:{getPosts}', 'user:1')).toMatch(/^\d+:\[1\]$/)
+      const pttl = await redis.pttl('app:getUser')
+      expect(pttl).toBeGreaterThan(900)
+      expect(pttl).toBeLessThanOrEqual(1000)
+    })
+
+    it('should support get, set, clear and clearAll', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000, storage: 'hash' })
+      const getUser = memoize(async function getUser (id) { return { id } }, { local: true })
+
+      expect(await getUser.get(1)).toBeUndefined()
+      await getUser.set(1, { id: 'one' })
+      expect(await getUser.get(1)).toEqual({ id: 'one' })
+      expect(await getUser(1)).toEqual({ id: 'one' })
+      await getUser(2)
+      await getUser(3)
+
+      expect(await getUser.clear(1)).toBe(1)
+      expect(await getUser.get(1)).toBeUndefined()
+      expect(await redis.hlen('getUser')).toBe(2)
+
+      expect(await getUser.clearAll({ dryRun: true })).toBe(2)
+      expect(await getUser.get(2)).toEqual({ id: 2 })
+      expect(await getUser.clearAll()).toBe(2)
+      expect(await getUser.get(2)).toBeUndefined()
+      expect(await redis.keys('*')).toEqual([])
+      expect(await getUser.clearAll()).toBe(0)
+    })
+
+    it('should ignore fields past their expiry timestamp', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000, storage: 'hash' })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test' })
+
+      await redis.hset('test', '[]', (Date.now() - 1) + ':"expired"')
+      expect(await cached()).toBe(1)
+      await redis.hset('test', '[]', 'invalid')
+      expect(await cached()).toBe(2)
+      expect(await cached()).toBe(2)
+    })
+
+    it('should keep the hash until its longest-living field expires', async () => {
+      const memoize = Memoize({ client: redis, storage: 'hash' })
+      const cached = memoize(async (ms) => ms, { key: 'test', ttl: (ms) => ms })
+
+      await cached(5000)
+      await cached(1000)
+      expect(await redis.pttl('test')).toBeGreaterThan(4000)
+    })
+
+    it('should report values that cannot be decoded', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis, ttl: 1000, storage: 'hash', onError: (_, info) => errors.push(info) })
+      const cached = memoize(async () => 'value', { key: 'test' })
+
+      await redis.hset('test', '[]', (Date.now() + 1000) + ':{invalid')
+      expect(await cached()).toBe('value')
+      expect(errors).toEqual([{ operation: 'get', key: 'test:[]' }])
+
+      const circular = {}
+      circular.self = circular
+      await memoize(async () => circular, { key: 'circular' })()
+      expect(errors[1]).toEqual({ operation: 'set', key: 'circular:[]' })
+      expect(await redis.exists('circular')).toBe(0)
+    })
+
+    it('should compress large values', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000, storage: 'hash', compress: { threshold: 16 } })
+      const cached = memoize(async function cached (length) { return 'x'.repeat(length) })
+      const text = 'x'.repeat(1000)
+
+      expect(await cached(1000)).toBe(text)
+      expect(await cached(2)).toBe('xx')
+      expect(await cached.get(1000)).toBe(text)
+      expect(await cached.get(2)).toBe('xx')
+      const raw = await redis.hgetBuffer('cached', '[1000]')
+      expect(raw[raw.indexOf(':') + 1]).toBe(0x01)
+      expect(raw.length).toBeLessThan(100)
+    })
+
+    it('should use one hash per version and generation', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000, version: 2, generation: true, storage: 'hash', staleTtl: 1000 })
+      let callCount = 0
+      const getUser = memoize(async function getUser (id) {
+        callCount++
+        return { id }
+      })
+
+      await getUser(1)
+      expect(await redis.keys('*')).toEqual(['app:v2:g0.0:getUser'])
+      expect(await getUser(1)).toEqual({ id: 1 })
+      expect(callCount).toBe(1)
+
+      await getUser.bumpVersion()
+      const fresh = memoize(async function getUser (id) {
+        callCount++
+        return { id }
+      }, { generation: { ttl: 0 } })
+      await fresh(1)
+      expect(callCount).toBe(2)
+      expect(await redis.hlen('app:v2:g0.1:getUser')).toBe(1)
+      expect(await fresh.clearAll()).toBe(1)
+      expect(await redis.hlen('app:v2:g0.0:getUser')).toBe(1)
+    })
+
+    it('should skip clearAll when generations cannot be read', async () => {
+      const client = Object.assign(Object.create(redis), { get: async () => { throw new Error('redis error') } })
+      const memoize = Memoize({ client, ttl: 1000, generation: true, storage: 'hash', onError: () => {} })
+      const cached = memoize(async () => 'value', { key: 'test' })
+
+      expect(await cached.clearAll()).toBe(0)
+    })
+  })
+
+  describe('ttl function and shouldCache option', () => {
+    it('should throw if shouldCache is invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, shouldCache: true })).toThrow('`shouldCache` must be a function')
+      expect(() => memoize(fn, { key: 'test', ttl: () => 1000, local: true })).toThrow('`local.ttl` must be a positive number of milliseconds')
+    })
+
+    it('should pick ttl from the result', async () => {
+      const memoize = Memoize({ client: redis })
+      const search = memoize(async (query) => query === 'none' ? [] : [query], {
+        key: (query) => `search:${query}`,
+        ttl: (results, query) => results.length ? 10000 : 1000
+      })
+
+      await search('none')
+      await search('foo')
+      expect(await redis.pttl('search:none')).toBeLessThanOrEqual(1000)
+      expect(await redis.pttl('search:foo')).toBeGreaterThan(1000)
+    })
+
+    it('should support async ttl function with stale window', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: async () => 1000, staleTtl: 5000 })
+
+      const before = Date.now()
+      await cached()
+      const entry = JSON.parse(await redis.get('test'))
+      expect(entry.expiresAt).toBeGreaterThanOrEqual(before + 1000)
+      expect(entry.expiresAt).toBeLessThan(before + 2000)
+      expect(await redis.pttl('test')).toBeGreaterThan(5000)
+    })
+
+    it('should throw if ttl function returns an invalid ttl', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: () => 0 })
+
+      await expect(cached()).rejects.toThrow('`ttl` function must return a positive number of milliseconds')
+    })
+
+    it('should skip storing when shouldCache returns false', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async (id) => {
+        callCount++
+        return id > 0 ? { id } : null
+      }, {
+        key: (id) => `item:${id}`,
+        ttl: 1000,
+        shouldCache: (result, id) => result !== null
+      })
+
+      await cached(0)
+      await cached(0)
+      await cached(1)
+      await cached(1)
+      expect(callCount).toBe(3)
+      expect(await redis.exists('item:0')).toBe(0)
+    })
+
+    it('should let shouldCache veto cached undefined results', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async (id) => {
+        callCount++
+        return id > 0 ? { id } : undefined
+      }, {
+        key: (id) => `item:${id}`,
+        ttl: 1000,
+        cacheUndefined: true,
+        shouldCache: (result, id) => id !== 0
+      })
+
+      await cached(0)
+      await cached(0)
+      await cached(-1)
+      await cached(-1)
+      expect(callCount).toBe(3)
+      expect(await redis.exists('item:0')).toBe(0)
+      expect(await redis.exists('item:-1')).toBe(1)
+    })
+
+    it('should apply ttl function and shouldCache to set', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async (id) => `result-${id}`, {
+        key: (id) => `item:${id}`,
+        ttl: (result, id) => id * 1000,
+        shouldCache: (result) => result !== 'skip'
+      })
+
+      await cached.set(5, 'manual')
+      await cached.set(6, 'skip')
+      expect(await redis.pttl('item:5')).toBeGreaterThan(4000)
+      expect(await redis.exists('item:6')).toBe(0)
+    })
+
+    it('should cap local ttl and tag sets with the result ttl', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => `result-${++callCount}`, {
+        key: 'test',
+        ttl: () => 50,
+        local: { ttl: 10000 },
+        tags: ['t']
+      })
+
+      await cached()
+      expect(await redis.pttl('tag:t')).toBeLessThanOrEqual(50)
+      await new Promise(resolve => setTimeout(resolve, 70))
+      expect(await cached()).toBe('result-2')
+    })
+  })
+
+  describe('sliding option', () => {
+    it('should throw if sliding options are invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => memoize(fn, { key: 'test', ttl: () => 1000, sliding: true })).toThrow('`ttl` must be a number when `sliding` is enabled')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, sliding: true, staleTtl: 1000 })).toThrow('`sliding` cannot be combined with `staleTtl`, `staleIfError` or `earlyRefresh`')
+      expect(() => memoize(fn, { key: 'test', ttl: 60000, sliding: true, cacheErrors: { ttl: 50 } })).toThrow('`sliding` cannot be combined with `cacheUndefined` or `cacheErrors`')
+      expect(() => memoize(fn, { key: 'test', ttl: 60000, sliding: true, cacheUndefined: 50 })).toThrow('`sliding` cannot be combined with `cacheUndefined` or `cacheErrors`')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, sliding: true, tags: ['t'] })).toThrow('`maxAge` is required when `sliding` is combined with `tags`')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, maxAge: 1000 })).toThrow('`maxAge` requires `sliding`')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, sliding: true, maxAge: -1 })).toThrow('`maxAge` must be a positive number of milliseconds')
+      expect(() => memoize(fn, { client: mockRedis, key: 'test', ttl: 1000, sliding: true })).toThrow('`client` must implement getex when `sliding` is enabled')
+      expect(() => memoize(fn, { client: Object.assign({ getBuffer: async () => null }, mockRedis), key: 'test', ttl: 1000, sliding: true, compress: true })).toThrow('`client` must implement getexBuffer when `sliding` is enabled')
+      expect(() => memoize(fn, { client: mockRedis, key: 'test', ttl: 1000, sliding: true, get: () => {} })).toThrow('`client` must implement pexpire when `sliding` is enabled')
+    })
+
+    it('should reset expiry on hit', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        return 'result'
+      }, { key: 'test', ttl: 100, sliding: true })
+
+      await cached()
+      for (let i = 0; i < 4; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50))
+        expect(await (i % 2 ? cached.get() : cached())).toBe('result')
+      }
+      expect(callCount).toBe(1)
+
+      await new Promise(resolve => setTimeout(resolve, 150))
+      expect(await cached()).toBe('result')
+      expect(callCount).toBe(2)
+    })
+
+    it('should reset expiry of compressed values', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, sliding: true, compress: true })
+
+      await redis.set('test', JSON.stringify('plain'), 'PX', 100)
+      expect(await cached()).toBe('plain')
+      expect(await redis.pttl('test')).toBeGreaterThan(900)
+    })
+
+    it('should stop sliding after maxAge', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => `result-${++callCount}`, { key: 'test', ttl: 100, sliding: true, maxAge: 150 })
+
+      await cached()
+      const entry = JSON.parse(await redis.get('test'))
+      expect(entry.value).toBe('result-1')
+      expect(await redis.pttl('test')).toBeLessThanOrEqual(100)
+
+      for (let i = 0; i < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 60))
+        expect(await cached()).toBe('result-1')
+      }
+      await new Promise(resolve => setTimeout(resolve, 60))
+      expect(await cached()).toBe('result-2')
+    })
+
+    it('should cap the first ttl at maxAge', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, sliding: true, maxAge: 100, tags: ['t'] })
+
+      await cached()
+      expect(await redis.pttl('test')).toBeLessThanOrEqual(100)
+      expect(await redis.pttl('tag:t')).toBeLessThanOrEqual(100)
+    })
+
+    it('should reset expiry after a custom getter hit', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis, onError: (_, info) => errors.push(info) })
+      const cached = memoize(async () => 'result', {
+        key: 'test',
+        ttl: 1000,
+        sliding: true,
+        get: async (redis, key) => (await redis.get(key)) || undefined,
+        set: (redis, key, value, ttl) => redis.set(key, value, 'PX', ttl)
+      })
+
+      await redis.set('test', 'custom', 'PX', 100)
+      expect(await cached()).toBe('custom')
+      expect(await redis.pttl('test')).toBeGreaterThan(900)
+
+      redis.pexpire = async () => { throw new Error('redis error') }
+      expect(await cached()).toBe('custom')
+      delete redis.pexpire
+      expect(errors).toEqual([{ operation: 'touch', key: 'test' }])
+    })
+  })
+
+  describe('negative caching', () => {
+    it('should throw if negative caching options are invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, cacheUndefined: -1 })).toThrow('`cacheUndefined` must be a boolean or a positive number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: () => 1000, cacheUndefined: true })).toThrow('`cacheUndefined` must be a boolean or a positive number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: () => 1000, cacheErrors: true })).toThrow('`cacheErrors.ttl` must be a positive number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, cacheErrors: { filter: 'all' } })).toThrow('`cacheErrors.filter` must be a function')
+    })
+
+    it('should cache undefined results', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+      }, { key: 'test', ttl: 1000, cacheUndefined: 500 })
+
+      expect(await cached()).toBe(undefined)
+      expect(await cached()).toBe(undefined)
+      expect(callCount).toBe(1)
+      expect(JSON.parse(await redis.get('test'))).toEqual({ $memoize: 'undefined' })
+      expect(await redis.pttl('test')).toBeLessThanOrEqual(500)
+    })
+
+    it('should cache undefined results in entries', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+      }, { key: 'test', ttl: 1000, staleTtl: 5000, cacheUndefined: true, local: true })
+
+      await cached()
+      expect(JSON.parse(await redis.get('test')).value).toEqual({ $memoize: 'undefined' })
+      expect(await redis.pttl('test')).toBeLessThanOrEqual(1000)
+
+      await redis.del('test')
+      expect(await cached()).toBe(undefined)
+      expect(callCount).toBe(1)
+    })
+
+    it('should cache errors and rethrow an equivalent error', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async (id) => {
+        callCount++
+        const err = new RangeError(`missing ${id}`)
+        err.code = 'ENOTFOUND'
+        throw err
+      }, { key: (id) => `item:${id}`, ttl: 1000, cacheErrors: { ttl: 500 } })
+
+      await expect(cached(1)).rejects.toThrow('missing 1')
+      const err = await cached(1).catch(err => err)
+      expect(err).toBeInstanceOf(Error)
+      expect(err.name).toBe('RangeError')
+      expect(err.message).toBe('missing 1')
+      expect(err.code).toBe('ENOTFOUND')
+      expect(callCount).toBe(1)
+      expect(await redis.pttl('item:1')).toBeLessThanOrEqual(500)
+      expect(await cached.get(1)).toBe(undefined)
+    })
+
+    it('should cache non-error throws', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        throw 'failure' // eslint-disable-line no-throw-literal
+      }, { key: 'test', ttl: 1000, cacheErrors: true, earlyRefresh: true })
+
+      await expect(cached()).rejects.toBe('failure')
+      await expect(cached()).rejects.toThrow('failure')
+      expect(callCount).toBe(1)
+    })
+
+    it('should only cache errors accepted by filter', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async (id) => {
+        callCount++
+        throw new Error(id === 1 ? 'not found' : 'timeout')
+      }, {
+        key: (id) => `item:${id}`,
+        ttl: 1000,
+        cacheErrors: { filter: async (err, id) => err.message === 'not found' }
+      })
+
+      await expect(cached(1)).rejects.toThrow('not found')
+      await expect(cached(1)).rejects.toThrow('not found')
+      await expect(cached(2)).rejects.toThrow('timeout')
+      await expect(cached(2)).rejects.toThrow('timeout')
+      expect(callCount).toBe(3)
+    })
+
+    it('should not cache errors when a stale value can be returned', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => {
+        throw new Error('upstream down')
+      }, { key: 'test', ttl: 1000, staleIfError: 1000, cacheErrors: true })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 100 }))
+
+      expect(await cached()).toBe('old')
+      expect(JSON.parse(await redis.get('test')).value).toBe('old')
+    })
+
+    it('should share cached errors with lock waiters', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
+        throw new Error('not found')
+      }, { key: 'test', ttl: 1000, cacheErrors: true, lock: { interval: 10 } })
+
+      const results = await Promise.allSettled([cached(), cached()])
+      expect(results.map(r => r.reason.message)).toEqual(['not found', 'not found'])
+      expect(callCount).toBe(1)
+    })
+
+    it('should report errors that could not be cached', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis, onError: (err, info) => errors.push({ err, info }) })
+      const cached = memoize(async () => {
+        throw new Error('fn error')
+      }, {
+        key: 'test',
+        ttl: 1000,
+        cacheErrors: true,
+        set: async () => { throw new Error('setter error') }
+      })
+
+      await expect(cached()).rejects.toThrow('fn error')
+      expect(errors.length).toBe(1)
+      expect(errors[0].err.message).toBe('setter error')
+      expect(errors[0].info).toEqual({ operation: 'cacheErrors', key: 'test' })
+    })
+  })
+
   describe('key function returning false', () => {
     it('should skip caching when key function returns false', async () => {
       const memoize = Memoize({ client: redis })
       let callCount = 0
-      const fn = async (shouldCache) => {
-        callCount++
+      const fn = async (shouldCache) => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, {
+        key: (shouldCache) => shouldCache ? 'cached' : false,
+        ttl: 1000
+      })
+
+      const result1 = await cached(false)
+      expect(result1).toBe('result')
+      expect(callCount).toBe(1)
+
+      const result2 = await cached(false)
+      expect(result2).toBe('result')
+      expect(callCount).toBe(2) // Should call fn again
+
+      const result3 = await cached(true)
+      expect(result3).toBe('result')
+      expect(callCount).toBe(3)
+
+      const result4 = await cached(true)
+      expect(result4).toBe('result')
+      expect(callCount).toBe(3) // Should use cache
+    })
+  })
+
+  describe('raw method', () => {
+    it('should bypass cache and call original function', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await cached()
+      expect(callCount).toBe(1)
+
+      await cached.raw()
+      expect(callCount).toBe(2)
+
+      await cached.raw()
+      expect(callCount).toBe(3)
+    })
+
+    it('should preserve this context in raw', async () => {
+      const memoize = Memoize({ client: redis })
+      const obj = {
+        value: 42,
+        async getValue () {
+          return this.value
+        }
+      }
+      const cached = memoize(obj.getValue, { key: 'test', ttl: 1000 })
+
+      const result = await cached.raw.call(obj)
+      expect(result).toBe(42)
+    })
+  })
+
+  describe('get method', () => {
+    it('should get cached value without calling function', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      const result1 = await cached.get()
+      expect(result1).toBe(undefined)
+      expect(callCount).toBe(0)
+
+      await cached()
+      expect(callCount).toBe(1)
+
+      const result2 = await cached.get()
+      expect(result2).toBe('result')
+      expect(callCount).toBe(1)
+    })
+
+    it('should return undefined when key function returns false', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: () => false,
+        ttl: 1000
+      })
+
+      const result = await cached.get()
+      expect(result).toBe(undefined)
+    })
+
+    it('should not return values past their logical expiry', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 50, staleIfError: 5000 })
+
+      await cached()
+      expect(await cached.get()).toBe('result')
+      await new Promise(resolve => setTimeout(resolve, 80))
+      expect(await redis.get('test')).not.toBeNull()
+      expect(await cached.get()).toBeUndefined()
+    })
+
+    it('should support function key in get', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async (id) => `result-${id}`
+      const cached = memoize(fn, {
+        key: (id) => `item:${id}`,
+        ttl: 1000
+      })
+
+      await cached(1)
+      await cached(2)
+
+      const result1 = await cached.get(1)
+      expect(result1).toBe('result-1')
+
+      const result2 = await cached.get(2)
+      expect(result2).toBe('result-2')
+    })
+  })
+
+  describe('set method', () => {
+    it('should manually set cache value', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'original'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await cached.set('manual')
+
+      const result = await cached()
+      expect(result).toBe('manual')
+      expect(callCount).toBe(0)
+    })
+
+    it('should support function key in set', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async (id) => `original-${id}`
+      const cached = memoize(fn, {
+        key: (id) => `item:${id}`,
+        ttl: 1000
+      })
+
+      await cached.set(1, 'manual-1')
+      await cached.set(2, 'manual-2')
+
+      const result1 = await cached(1)
+      expect(result1).toBe('manual-1')
+
+      const result2 = await cached(2)
+      expect(result2).toBe('manual-2')
+    })
+
+    it('should not set when key function returns false', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: () => false,
+        ttl: 1000
+      })
+
+      const result = await cached.set('value')
+      expect(result).toBe(undefined)
+    })
+
+    it('should not set undefined values', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await cached.set(undefined)
+
+      const result = await cached.get()
+      expect(result).toBe(undefined)
+    })
+  })
+
+  describe('clear method', () => {
+    it('should clear cached value', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await cached()
+      expect(callCount).toBe(1)
+
+      await cached.clear()
+
+      await cached()
+      expect(callCount).toBe(2)
+    })
+
+    it('should support function key in clear', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async (id) => {
+        callCount++
+        return `result-${id}`
+      }
+      const cached = memoize(fn, {
+        key: (id) => `item:${id}`,
+        ttl: 1000
+      })
+
+      await cached(1)
+      await cached(2)
+      expect(callCount).toBe(2)
+
+      await cached.clear(1)
+
+      await cached(1)
+      expect(callCount).toBe(3)
+
+      await cached(2)
+      expect(callCount).toBe(3) // Still cached
+    })
+
+    it('should return undefined when key function returns false', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: () => false,
+        ttl: 1000
+      })
+
+      const result = await cached.clear()
+      expect(result).toBe(undefined)
+    })
+
+    it('should return deletion count', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await cached()
+      const result1 = await cached.clear()
+      expect(result1).toBe(1)
+
+      const result2 = await cached.clear()
+      expect(result2).toBe(0)
+    })
+  })
+
+  describe('warm method', () => {
+    it('should throw if warm arguments are invalid', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      const cached = memoize(async () => 'test', { key: 'test' })
+      await expect(cached.warm()).rejects.toThrow('`argsList` must be an array of argument arrays')
+      await expect(cached.warm([1, 2])).rejects.toThrow('`argsList` must be an array of argument arrays')
+      await expect(cached.warm([], null)).rejects.toThrow('`options` must be object!')
+      await expect(cached.warm([], { concurrency: 0 })).rejects.toThrow('`concurrency` must be a positive integer')
+      await expect(cached.warm([], { onProgress: 'log' })).rejects.toThrow('`onProgress` must be a function')
+      expect(await cached.warm([])).toEqual({ total: 0, done: 0, warmed: 0, skipped: 0, failed: 0, failures: [] })
+    })
+
+    it('should store the entries live calls read', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:' })
+      let callCount = 0
+      const getUser = memoize(async function getUser (id) {
+        callCount++
+        return { id }
+      }, { keyArgs: true, ttl: (user) => user.id * 1000 })
+
+      expect(await getUser.warm([[1], [2], [3]])).toEqual({ total: 3, done: 3, warmed: 3, skipped: 0, failed: 0, failures: [] })
+      expect(callCount).toBe(3)
+      expect((await redis.keys('*')).sort()).toEqual(['app:getUser:[1]', 'app:getUser:[2]', 'app:getUser:[3]'])
+      expect(await redis.pttl('app:getUser:[1]')).toBeLessThanOrEqual(1000)
+      expect(await redis.pttl('app:getUser:[3]')).toBeGreaterThan(2000)
+
+      expect(await getUser(2)).toEqual({ id: 2 })
+      expect(callCount).toBe(3)
+    })
+
+    it('should skip existing entries unless forced', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      let callCount = 0
+      const cached = memoize(async (id) => `${id}:${++callCount}`, { key: (id) => id < 3 ? `test:${id}` : false })
+
+      await cached(1)
+      const result = await cached.warm([[1], [2], [3]])
+      expect(result).toMatchObject({ total: 3, warmed: 1, skipped: 2, failed: 0 })
+      expect(await cached.get(1)).toBe('1:1')
+      expect(await cached.get(2)).toBe('2:2')
+
+      expect(await cached.warm([[1], [2]], { force: true })).toMatchObject({ warmed: 2, skipped: 0 })
+      expect(await cached.get(1)).toBe('1:3')
+      expect(await cached.get(2)).toBe('2:4')
+    })
+
+    it('should rewarm entries that are only served stale', async () => {
+      const memoize = Memoize({ client: redis, ttl: 20, staleTtl: 1000 })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test' })
+
+      await cached()
+      expect(await cached.warm([[]])).toMatchObject({ warmed: 0, skipped: 1 })
+      await new Promise(resolve => setTimeout(resolve, 30))
+      expect(await cached.warm([[]])).toMatchObject({ warmed: 1, skipped: 0 })
+      expect(await cached.get()).toBe(2)
+    })
+
+    it('should limit concurrency and report progress and failures', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      let running = 0
+      let maxRunning = 0
+      const error = new Error('failed')
+      const cached = memoize(async (id) => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        running--
+        if (id === 2) throw error
+        return id
+      }, { key: (id) => `test:${id}` })
+      const progress = []
+
+      const argsList = [[1], [2], [3], [4], [5]]
+      const result = await cached.warm(argsList, { concurrency: 2, onProgress: (event) => progress.push(event) })
+      expect(maxRunning).toBe(2)
+      expect(result).toEqual({ total: 5, done: 5, warmed: 4, skipped: 0, failed: 1, failures: [{ args: [2], error }] })
+      expect(progress).toHaveLength(5)
+      expect(progress.map(event => event.done)).toEqual([1, 2, 3, 4, 5])
+      expect(progress.find(event => event.args[0] === 2)).toMatchObject({ error, total: 5, failed: 1 })
+      expect(progress.find(event => event.args[0] === 5)).toMatchObject({ error: undefined, total: 5 })
+      expect(await cached.get(2)).toBeUndefined()
+      expect(await cached.get(5)).toBe(5)
+    })
+  })
+
+  describe('custom getter and setter', () => {
+    it('should use custom getter', async () => {
+      const customGet = async (redis, key) => {
+        const value = await redis.get(key)
+        return value ? `custom:${value}` : undefined
+      }
+
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000,
+        get: customGet
+      })
+
+      await redis.set('test', 'direct')
+      const result = await cached()
+      expect(result).toBe('custom:direct')
+    })
+
+    it('should use custom setter', async () => {
+      const customSet = async (redis, key, value, ttl) => {
+        await redis.set(key, `custom:${value}`, 'PX', ttl)
+      }
+
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000,
+        set: customSet
+      })
+
+      await cached()
+      const value = await redis.get('test')
+      expect(value).toBe('custom:result')
+    })
+
+    it('should propagate getter errors from custom getter', async () => {
+      const customGet = async () => {
+        throw new Error('getter error')
+      }
+
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000,
+        get: customGet
+      })
+
+      await expect(cached()).rejects.toThrow('getter error')
+      expect(callCount).toBe(0)
+    })
+
+    it('should propagate setter errors from custom setter', async () => {
+      const customSet = async () => {
+        throw new Error('setter error')
+      }
+
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000,
+        set: customSet
+      })
+
+      await expect(cached()).rejects.toThrow('setter error')
+    })
+  })
+
+  describe('default getter and setter', () => {
+    it('should handle invalid JSON in defaultGet', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await redis.set('test', 'invalid json')
+
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(callCount).toBe(1)
+    })
+
+    it('should handle redis errors in defaultGet', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+
+      const mockRedis = {
+        get: async () => { throw new Error('redis error') },
+        set: async () => {},
+        del: async () => {}
+      }
+
+      const cached = memoize(fn, { client: mockRedis, key: 'test', ttl: 1000 })
+
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(callCount).toBe(1)
+    })
+
+    it('should handle redis errors in defaultSet', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+
+      const mockRedis = {
+        get: async () => null,
+        set: async () => { throw new Error('redis error') },
+        del: async () => {}
+      }
+
+      const cached = memoize(fn, { client: mockRedis, key: 'test', ttl: 1000 })
+
+      const result = await cached()
+      expect(result).toBe('result')
+    })
+
+    it('should report errors of the default getter and setter', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis, onError: (err, info) => errors.push([err.message, info]) })
+      const cached = memoize(async () => ({ big: 1n }), { key: 'test', ttl: 1000 })
+
+      await redis.set('test', 'invalid json')
+      await expect(cached()).resolves.toEqual({ big: 1n })
+      expect(errors).toEqual([
+        [expect.stringContaining('JSON'), { operation: 'get', key: 'test' }],
+        ['Do not know how to serialize a BigInt', { operation: 'set', key: 'test' }]
+      ])
+    })
+
+    it('should treat null as cache miss in defaultGet', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await redis.set('test', 'null')
+      await redis.del('test') // Ensure key doesn't exist
+
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(callCount).toBe(1)
+    })
+  })
+
+  describe('codec option', () => {
+    it('should throw if codec is invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, codec: 'xml' })).toThrow('`codec` must be \'json\', \'typed\' or an object with encode/decode methods')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, codec: { encode: String } })).toThrow('`codec` must be \'json\', \'typed\' or an object with encode/decode methods')
+    })
+
+    it('should use json codec by default', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => new Date(0), { key: 'test', ttl: 1000 })
+
+      await cached()
+      expect(await redis.get('test')).toBe(JSON.stringify(new Date(0)))
+      expect(await cached()).toBe('1970-01-01T00:00:00.000Z')
+    })
+
+    it('should round-trip types with typed codec', async () => {
+      const memoize = Memoize({ client: redis })
+      const value = {
+        date: new Date(0),
+        map: new Map([['a', new Set([1, 2])], [{ k: 1 }, 10n]]),
+        buffer: Buffer.from('hi'),
+        list: [undefined, NaN, -Infinity, null, 'x'],
+        nested: { big: 12345678901234567890n, missing: undefined },
+        tagged: { $t: 'Date', v: 1 },
+        json: { toJSON: () => ({ from: 'toJSON' }) }
+      }
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        return value
+      }, { key: 'test', ttl: 1000, codec: 'typed' })
+
+      await cached()
+      const result = await cached()
+      expect(callCount).toBe(1)
+      expect(result.date).toEqual(new Date(0))
+      expect(result.map).toEqual(new Map([['a', new Set([1, 2])], [{ k: 1 }, 10n]]))
+      expect(Buffer.isBuffer(result.buffer)).toBe(true)
+      expect(result.buffer.toString()).toBe('hi')
+      expect(result.list).toEqual([undefined, NaN, -Infinity, null, 'x'])
+      expect(result.nested).toEqual({ big: 12345678901234567890n, missing: undefined })
+      expect('missing' in result.nested).toBe(true)
+      expect(result.tagged).toEqual({ $t: 'Date', v: 1 })
+      expect(result.json).toEqual({ from: 'toJSON' })
+    })
+
+    it('should read json values with typed codec', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, codec: 'typed' })
+
+      await redis.set('test', JSON.stringify({ a: [1, 'x'] }))
+      expect(await cached()).toEqual({ a: [1, 'x'] })
+
+      await cached.set(10n)
+      expect(await redis.get('test')).toBe('{"$t":"BigInt","v":"10"}')
+    })
+
+    it('should not cache circular values with typed codec', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        const obj = {}
+        obj.self = obj
+        return obj
+      }, { key: 'test', ttl: 1000, codec: 'typed' })
+
+      await cached()
+      await cached()
+      expect(callCount).toBe(2)
+    })
+
+    it('should use custom codec', async () => {
+      const memoize = Memoize({ client: redis })
+      const codec = {
+        encode: (value) => `v:${value}`,
+        decode: (text) => text.slice(2)
+      }
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, codec })
+
+      await cached()
+      expect(await redis.get('test')).toBe('v:result')
+      expect(await cached.get()).toBe('result')
+    })
+
+    it('should encode entries with staleTtl', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => new Date(0), { key: 'test', ttl: 1000, staleTtl: 1000, codec: 'typed' })
+
+      await cached()
+      expect(await cached.get()).toEqual(new Date(0))
+    })
+  })
+
+  describe('compress option', () => {
+    const report = { rows: Array.from({ length: 200 }, (_, i) => ({ id: i, name: `row-${i}` })) }
+
+    it('should throw if compress options are invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, compress: { threshold: -1 } })).toThrow('`compress.threshold` must be a non-negative integer')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, compress: { algorithm: 'zip' } })).toThrow('`compress.algorithm` must be \'gzip\' or \'brotli\'')
+      expect(() => memoize(fn, { client: mockRedis, key: 'test', ttl: 1000, compress: true })).toThrow('`client` must implement getBuffer when `compress` is enabled')
+      expect(() => memoize(fn, { client: mockRedis, key: 'test', ttl: 1000, compress: true, get: async () => {} })).not.toThrow()
+    })
+
+    it('should compress values over the threshold with gzip', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        return report
+      }, { key: 'test', ttl: 1000, compress: true })
+
+      await cached()
+      const raw = await redis.getBuffer('test')
+      expect(raw[0]).toBe(0x01)
+      expect(raw.length).toBeLessThan(JSON.stringify(report).length)
+
+      expect(await cached()).toEqual(report)
+      expect(callCount).toBe(1)
+    })
+
+    it('should compress values with brotli', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => report, { key: 'test', ttl: 1000, compress: { algorithm: 'brotli', threshold: 100 } })
+
+      await cached()
+      expect((await redis.getBuffer('test'))[0]).toBe(0x02)
+      expect(await cached.get()).toEqual(report)
+    })
+
+    it('should store small values as plain text', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => ({ small: true }), { key: 'test', ttl: 1000, compress: true })
+
+      await cached()
+      expect(await redis.get('test')).toBe('{"small":true}')
+      expect(await cached.get()).toEqual({ small: true })
+    })
+
+    it('should read values written before compression was enabled', async () => {
+      const memoize = Memoize({ client: redis })
+      const plain = memoize(async () => report, { key: 'test', ttl: 1000 })
+      const compressed = memoize(async () => 'result', { key: 'test', ttl: 1000, compress: { threshold: 0 } })
+
+      await plain()
+      expect(await compressed()).toEqual(report)
+    })
+
+    it('should treat corrupted compressed values as cache miss', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, compress: true })
+
+      await redis.set('test', Buffer.from([0x01, 0xff, 0x00]))
+      expect(await cached()).toBe('result')
+    })
+  })
+
+  describe('options merging', () => {
+    it('should merge default options with function options', async () => {
+      const memoize = Memoize({
+        client: redis,
+        prefix: 'default:',
+        ttl: 5000
+      })
+
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000 // Override default ttl
+      })
+
+      await cached()
+      const value = await redis.get('default:test')
+      expect(JSON.parse(value)).toBe('result')
+    })
+
+    it('should use default options when function options not provided', async () => {
+      const memoize = Memoize({
+        client: redis,
+        prefix: 'app:',
+        key: 'default-key',
+        ttl: 1000
+      })
+
+      const fn = async () => 'result'
+      const cached = memoize(fn, {})
+
+      await cached()
+      const value = await redis.get('app:default-key')
+      expect(JSON.parse(value)).toBe('result')
+    })
+
+    it('should work when fnOptions is omitted', async () => {
+      const memoize = Memoize({
+        client: redis,
+        key: 'default-key-omitted',
+        ttl: 1000
+      })
+
+      const fn = async () => 'result'
+      const cached = memoize(fn) // fnOptions omitted, uses default {}
+
+      const result = await cached()
+      expect(result).toBe('result')
+      const value = await redis.get('default-key-omitted')
+      expect(JSON.parse(value)).toBe('result')
+    })
+  })
+
+  describe('dedupe option', () => {
+    it('should call fn once for concurrent calls with the same key', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async (id) => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
+        return `result-${id}`
+      }
+      const cached = memoize(fn, {
+        key: (id) => `item:${id}`,
+        ttl: 1000,
+        dedupe: true
+      })
+
+      const results = await Promise.all([cached(1), cached(1), cached(1), cached(2)])
+      expect(results).toEqual(['result-1', 'result-1', 'result-1', 'result-2'])
+      expect(callCount).toBe(2)
+
+      const result = await cached(1)
+      expect(result).toBe('result-1')
+      expect(callCount).toBe(2)
+    })
+
+    it('should call fn for every concurrent call without dedupe', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+
+      await Promise.all([cached(), cached(), cached()])
+      expect(callCount).toBe(3)
+    })
+
+    it('should reject all concurrent callers and not cache the error', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
+        if (callCount === 1) {
+          throw new Error('fn error')
+        }
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, dedupe: true })
+
+      const results = await Promise.allSettled([cached(), cached(), cached()])
+      expect(results.map(r => r.status)).toEqual(['rejected', 'rejected', 'rejected'])
+      expect(results[0].reason).toBe(results[1].reason)
+      expect(results[0].reason.message).toBe('fn error')
+      expect(callCount).toBe(1)
+      expect(await redis.get('test')).toBe(null)
+
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(callCount).toBe(2)
+    })
+
+    it('should share the first caller result across different this contexts', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      async function getValue () {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
+        return this.value
+      }
+      const cached = memoize(getValue, { key: 'test', ttl: 1000, dedupe: true })
+      const a = { value: 'a' }
+      const b = { value: 'b' }
+
+      const results = await Promise.all([cached.call(a), cached.call(b)])
+      expect(results).toEqual(['a', 'a'])
+      expect(callCount).toBe(1)
+
+      await cached.clear()
+      const result = await cached.call(b)
+      expect(result).toBe('b')
+      expect(callCount).toBe(2)
+    })
+
+    it('should not dedupe across keys that skip caching', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: () => false, ttl: 1000, dedupe: true })
+
+      await Promise.all([cached(), cached()])
+      expect(callCount).toBe(2)
+    })
+  })
+
+  describe('lock option', () => {
+    it('should throw if lock options are invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => memoize(fn, { client: mockRedis, key: 'test', ttl: 1000, lock: true })).toThrow('`client` must implement eval when `lock` is enabled')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, lock: { ttl: 0 } })).toThrow('`lock.ttl` must be a positive number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, lock: { timeout: -1 } })).toThrow('`lock.timeout` must be a non-negative number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, lock: { interval: 'fast' } })).toThrow('`lock.interval` must be a positive number of milliseconds')
+    })
+
+    it('should compute once across processes on concurrent miss', async () => {
+      const redis2 = new Redis()
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 100))
+        return 'result'
+      }
+      const cached1 = Memoize({ client: redis })(fn, { key: 'test', ttl: 1000, lock: { interval: 10 } })
+      const cached2 = Memoize({ client: redis2 })(fn, { key: 'test', ttl: 1000, lock: { interval: 10 } })
+
+      try {
+        const results = await Promise.all([cached1(), cached2(), cached2()])
+        expect(results).toEqual(['result', 'result', 'result'])
+        expect(callCount).toBe(1)
+        expect(await redis.get('test:lock')).toBe(null)
+      } finally {
+        await redis2.quit()
+      }
+    })
+
+    it('should call fn after waiting for timeout', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, lock: { ttl: 1000, timeout: 100, interval: 10 } })
+
+      await redis.set('test:lock', 'other', 'PX', 1000)
+
+      const start = Date.now()
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(callCount).toBe(1)
+      expect(Date.now() - start).toBeGreaterThanOrEqual(90)
+      expect(await redis.get('test:lock')).toBe('other')
+      expect(JSON.parse(await redis.get('test'))).toBe('result')
+    })
+
+    it('should take over the lock when the holder fails', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
+        if (callCount === 1) {
+          throw new Error('fn error')
+        }
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, lock: { interval: 10 } })
+
+      const results = await Promise.allSettled([cached(), cached()])
+      expect(results[0].status).toBe('rejected')
+      expect(results[1].value).toBe('result')
+      expect(callCount).toBe(2)
+    })
+
+    it('should not release a lock taken by someone else', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => {
+        await new Promise(resolve => setTimeout(resolve, 100))
+        // Our lock expired and another process took it meanwhile
+        await redis.del('test:lock')
+        await redis.set('test:lock', 'other', 'PX', 1000)
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, lock: { ttl: 1000 } })
+
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(await redis.get('test:lock')).toBe('other')
+    })
+
+    it('should not take a lock on cache hit', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000, lock: true })
+
+      await cached.set('manual')
+      await redis.set('test:lock', 'other', 'PX', 1000)
+
+      const result = await cached()
+      expect(result).toBe('manual')
+    })
+
+    it('should compute without lock when redis fails', async () => {
+      const memoize = Memoize()
+      let callCount = 0
+      const mockRedis = {
+        get: async () => null,
+        set: async () => { throw new Error('redis error') },
+        del: async () => {},
+        eval: async () => { throw new Error('redis error') }
+      }
+      const cached = memoize(async () => {
+        callCount++
+        return 'result'
+      }, { client: mockRedis, key: 'test', ttl: 1000, lock: true })
+
+      const result = await cached()
+      expect(result).toBe('result')
+      expect(callCount).toBe(1)
+    })
+
+    it('should report lock errors', async () => {
+      const errors = []
+      const client = Object.assign(Object.create(redis), {
+        set: (key, ...args) => key.endsWith(':lock') && key.startsWith('a') ? Promise.reject(new Error('set error')) : redis.set(key, ...args),
+        eval: () => Promise.reject(new Error('eval error'))
+      })
+      const memoize = Memoize({ client, ttl: 20, staleTtl: 1000, lock: true, onError: (err, info) => errors.push([err.message, info]) })
+      const a = memoize(async () => 'a', { key: 'a' })
+      const b = memoize(async () => 'b', { key: 'b' })
+
+      expect(await a()).toBe('a')
+      expect(await b()).toBe('b')
+      expect(errors).toEqual([
+        ['set error', { operation: 'lock', key: 'a:lock' }],
+        ['eval error', { operation: 'lock', key: 'a:lock' }],
+        ['eval error', { operation: 'lock', key: 'b:lock' }]
+      ])
+
+      // The failed release left the lock held until it expires
+      expect(await redis.get('b:lock')).not.toBeNull()
+      await redis.del('b:lock')
+      await new Promise(resolve => setTimeout(resolve, 30))
+      expect(await b()).toBe('b')
+      await new Promise(resolve => setTimeout(resolve, 10))
+      expect(errors[3]).toEqual(['eval error', { operation: 'lock', key: 'b:lock' }])
+    })
+  })
+
+  describe('staleTtl option', () => {
+    it('should throw if staleTtl or onError is invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, staleTtl: -1 })).toThrow('`staleTtl` must be a non-negative number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, onError: 'log' })).toThrow('`onError` must be a function')
+    })
+
+    it('should store an entry with logical expiry', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 5000 })
+
+      const before = Date.now()
+      await cached()
+      const entry = JSON.parse(await redis.get('test'))
+      expect(entry.value).toBe('result')
+      expect(entry.expiresAt).toBeGreaterThanOrEqual(before + 1000)
+      expect(await redis.pttl('test')).toBeGreaterThan(1000)
+      expect(await cached.get()).toBe('result')
+    })
+
+    it('should serve stale value and refresh it in background', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        await new Promise(resolve => setTimeout(resolve, 20))
+        return `result-${callCount}`
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 100, staleTtl: 1000 })
+
+      expect(await cached()).toBe('result-1')
+      await new Promise(resolve => setTimeout(resolve, 150))
+
+      const results = await Promise.all([cached(), cached(), cached()])
+      expect(results).toEqual(['result-1', 'result-1', 'result-1'])
+      expect(callCount).toBe(2)
+
+      await new Promise(resolve => setTimeout(resolve, 50))
+      expect(await cached()).toBe('result-2')
+      expect(callCount).toBe(2)
+    })
+
+    it('should call fn when the stale window has passed', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 1000 })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 2000 }))
+
+      expect(await cached()).toBe('result-1')
+      expect(callCount).toBe(1)
+    })
+
+    it('should report refresh errors without affecting the caller', async () => {
+      const errors = []
+      const memoize = Memoize({
+        client: redis,
+        onError: (err, info) => errors.push({ err, info })
+      })
+      let callCount = 0
+      const fn = async () => {
+        if (++callCount > 1) {
+          throw new Error('refresh error')
+        }
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 50, staleTtl: 1000 })
+
+      await cached()
+      await new Promise(resolve => setTimeout(resolve, 100))
+
+      expect(await cached()).toBe('result')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(errors.length).toBe(1)
+      expect(errors[0].err.message).toBe('refresh error')
+      expect(errors[0].info).toEqual({ operation: 'refresh', key: 'test' })
+      expect(JSON.parse(await redis.get('test')).value).toBe('result')
+      expect(await cached()).toBe('result')
+    })
+
+    it('should treat values that are not entries as cache miss', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+        return 'result'
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 1000 })
+
+      await redis.set('test', JSON.stringify('plain'))
+
+      expect(await cached()).toBe('result')
+      expect(callCount).toBe(1)
+    })
+
+    it('should write entries with set and skip undefined', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 1000 })
+
+      await cached.set(undefined)
+      expect(await redis.get('test')).toBe(null)
+
+      await cached.set('manual')
+      expect(JSON.parse(await redis.get('test')).value).toBe('manual')
+      expect(await cached()).toBe('manual')
+    })
+
+    it('should not store undefined results', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => {
+        callCount++
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 1000 })
+
+      await cached()
+      await cached()
+      expect(callCount).toBe(2)
+      expect(await redis.get('test')).toBe(null)
+    })
+
+    it('should ignore refresh errors without onError', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => {
+        throw new Error('refresh error')
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 1000 })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 100 }))
+
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(JSON.parse(await redis.get('test')).value).toBe('old')
+      expect(await cached()).toBe('old')
+    })
+
+    it('should pass entries to custom getter and setter', async () => {
+      const store = new Map()
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000,
+        staleTtl: 500,
+        get: (redis, key) => store.get(key),
+        set: (redis, key, entry, ttl) => store.set(key, Object.assign({ ttl }, entry))
+      })
+
+      await cached()
+      const entry = store.get('test')
+      expect(entry.value).toBe('result')
+      expect(entry.ttl).toBe(1500)
+      expect(typeof entry.expiresAt).toBe('number')
+      expect(await cached.get()).toBe('result')
+    })
+
+    it('should refresh once across processes with lock', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 1000, lock: true })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 100 }))
+      await redis.set('test:lock', 'other', 'PX', 1000)
+
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(callCount).toBe(0)
+
+      await redis.del('test:lock')
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(callCount).toBe(1)
+      expect(await cached()).toBe('result-1')
+    })
+  })
+
+  describe('staleIfError option', () => {
+    it('should throw if staleIfError is invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, staleIfError: 'long' })).toThrow('`staleIfError` must be a non-negative number of milliseconds')
+    })
+
+    it('should keep entries in redis for ttl + staleIfError', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleTtl: 2000, staleIfError: 5000 })
+
+      await cached()
+      expect(await redis.pttl('test')).toBeGreaterThan(3000)
+      expect(JSON.parse(await redis.get('test')).value).toBe('result')
+    })
+
+    it('should return stale value and report when fn throws', async () => {
+      const errors = []
+      const memoize = Memoize({
+        client: redis,
+        onError: (err, info) => errors.push({ err, info })
+      })
+      let callCount = 0
+      const fn = async () => {
+        if (++callCount > 1) {
+          throw new Error('upstream down')
+        }
         return 'result'
       }
-      const cached = memoize(fn, {
-        key: (shouldCache) => shouldCache ? 'cached' : false,
-        ttl: 1000
-      })
+      const cached = memoize(fn, { key: 'test', ttl: 50, staleIfError: 1000 })
 
-      const result1 = await cached(false)
-      expect(result1).toBe('result')
+      expect(await cached()).toBe('result')
+      await new Promise(resolve => setTimeout(resolve, 100))
+
+      expect(await cached()).toBe('result')
+      expect(callCount).toBe(2)
+      expect(errors.length).toBe(1)
+      expect(errors[0].err.message).toBe('upstream down')
+      expect(errors[0].info).toEqual({ operation: 'staleIfError', key: 'test' })
+    })
+
+    it('should store the recomputed value once fn recovers', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleIfError: 1000 })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 100 }))
+
+      expect(await cached()).toBe('result-1')
+      expect(await cached()).toBe('result-1')
       expect(callCount).toBe(1)
+    })
 
-      const result2 = await cached(false)
-      expect(result2).toBe('result')
-      expect(callCount).toBe(2) // Should call fn again
+    it('should throw when the stale value is too old', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => {
+        throw new Error('upstream down')
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleIfError: 1000 })
 
-      const result3 = await cached(true)
-      expect(result3).toBe('result')
-      expect(callCount).toBe(3)
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 2000 }))
 
-      const result4 = await cached(true)
-      expect(result4).toBe('result')
-      expect(callCount).toBe(3) // Should use cache
+      await expect(cached()).rejects.toThrow('upstream down')
+    })
+
+    it('should throw when there is no cached value', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => {
+        throw new Error('upstream down')
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleIfError: 1000 })
+
+      await expect(cached()).rejects.toThrow('upstream down')
+    })
+
+    it('should return stale value when the lock holder throws', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => {
+        throw new Error('upstream down')
+      }
+      const cached = memoize(fn, { key: 'test', ttl: 1000, staleIfError: 1000, lock: true })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 100 }))
+
+      expect(await cached()).toBe('old')
+      expect(await redis.get('test:lock')).toBe(null)
     })
   })
 
-  describe('raw method', () => {
-    it('should bypass cache and call original function', async () => {
+  describe('earlyRefresh option', () => {
+    it('should throw if earlyRefresh is invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, earlyRefresh: -1 })).toThrow('`earlyRefresh` must be a boolean or a non-negative number')
+    })
+
+    it('should store compute duration in the entry', async () => {
       const memoize = Memoize({ client: redis })
-      let callCount = 0
       const fn = async () => {
-        callCount++
+        await new Promise(resolve => setTimeout(resolve, 50))
         return 'result'
       }
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+      const cached = memoize(fn, { key: 'test', ttl: 1000, earlyRefresh: true })
 
       await cached()
+      const entry = JSON.parse(await redis.get('test'))
+      expect(entry.value).toBe('result')
+      expect(entry.delta).toBeGreaterThanOrEqual(40)
+      expect(await redis.pttl('test')).toBeLessThanOrEqual(1000)
+    })
+
+    it('should refresh in background before expiry', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, { key: 'test', ttl: 1000, earlyRefresh: 1e6 })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() + 500, delta: 100 }))
+
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
       expect(callCount).toBe(1)
+      expect(await cached.get()).toBe('result-1')
+    })
 
-      await cached.raw()
-      expect(callCount).toBe(2)
+    it('should not refresh early when far from expiry', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, { key: 'test', ttl: 1000, earlyRefresh: 1e-6 })
 
-      await cached.raw()
-      expect(callCount).toBe(3)
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() + 500, delta: 100 }))
+
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(callCount).toBe(0)
     })
 
-    it('should preserve this context in raw', async () => {
+    it('should not refresh early entries without delta', async () => {
       const memoize = Memoize({ client: redis })
-      const obj = {
-        value: 42,
-        async getValue () {
-          return this.value
-        }
-      }
-      const cached = memoize(obj.getValue, { key: 'test', ttl: 1000 })
+      let callCount = 0
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, { key: 'test', ttl: 1000, earlyRefresh: 1e6 })
 
-      const result = await cached.raw.call(obj)
-      expect(result).toBe(42)
+      await cached.set('manual')
+
+      expect(await cached()).toBe('manual')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(callCount).toBe(0)
     })
-  })
 
-  describe('get method', () => {
-    it('should get cached value without calling function', async () => {
+    it('should treat entries with invalid delta as cache miss', async () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'result'
+      const cached = memoize(fn, { key: 'test', ttl: 1000, earlyRefresh: true })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() + 500, delta: 'slow' }))
+
+      expect(await cached()).toBe('result')
+    })
+
+    it('should work with custom getter and setter', async () => {
+      const store = new Map()
       const memoize = Memoize({ client: redis })
       let callCount = 0
-      const fn = async () => {
-        callCount++
-        return 'result'
+      const fn = async () => `result-${++callCount}`
+      const cached = memoize(fn, {
+        key: 'test',
+        ttl: 1000,
+        earlyRefresh: 1e6,
+        get: (redis, key) => store.get(key),
+        set: (redis, key, entry) => store.set(key, entry)
+      })
+
+      store.set('test', { value: 'old', expiresAt: Date.now() + 500, delta: 100 })
+
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(store.get('test').value).toBe('result-1')
+      expect(typeof store.get('test').delta).toBe('number')
+    })
+  })
+
+  describe('refreshAhead option', () => {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+    it('should throw if refreshAhead options are invalid', () => {
+      const memoize = Memoize({ client: redis, ttl: 1000 })
+      expect(() => memoize(async () => 'test', { key: 'test', refreshAhead: { threshold: 0 } })).toThrow('`refreshAhead.threshold` must be a positive number of milliseconds')
+      expect(() => memoize(async () => 'test', { key: 'test', refreshAhead: { threshold: 1000 } })).toThrow('`refreshAhead.threshold` must be lower than `ttl`')
+      expect(() => memoize(async () => 'test', { key: 'test', refreshAhead: { interval: -1 } })).toThrow('`refreshAhead.interval` must be a positive number of milliseconds')
+      expect(() => memoize(async () => 'test', { key: 'test', refreshAhead: { max: 0 } })).toThrow('`refreshAhead.max` must be a positive integer')
+      expect(() => memoize(async () => 'test', { key: 'test', ttl: () => 1000, refreshAhead: true })).not.toThrow()
+      expect(() => memoize(async () => 'test', { key: 'test', refreshAhead: true, sliding: true })).toThrow('`refreshAhead` cannot be combined with `sliding`')
+    })
+
+    it('should refresh hot keys before they expire', async () => {
+      const memoize = Memoize({ client: redis, ttl: 200, refreshAhead: { threshold: 100, interval: 10 } })
+      const misses = []
+      memoize.events.on('miss', (event) => misses.push(event))
+      let callCount = 0
+      const cached = memoize(async function cached (id) { return `${id}:${++callCount}` })
+
+      expect(await cached(1)).toBe('1:1')
+      const deadline = Date.now() + 500
+      while (Date.now() < deadline) {
+        expect(await cached(1)).toMatch(/^1:\d+$/)
+        await sleep(10)
       }
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+      memoize.stop()
 
-      const result1 = await cached.get()
-      expect(result1).toBe(undefined)
-      expect(callCount).toBe(0)
+      expect(misses).toHaveLength(1)
+      expect(callCount).toBeGreaterThanOrEqual(3)
+      const entry = JSON.parse(await redis.get('cached'))
+      expect(entry.value).toBe(`1:${callCount}`)
+      expect(entry.expiresAt).toBeGreaterThan(Date.now())
+    })
+
+    it('should stop refreshing keys that go cold', async () => {
+      const memoize = Memoize({ client: redis, ttl: 60, refreshAhead: { threshold: 40, interval: 10 } })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test', keyArgs: true })
+
+      await Promise.all([cached(1), cached(2)])
+      await Promise.all([cached(1), cached(2)])
+      await sleep(150)
+      expect(callCount).toBe(4)
+      await sleep(100)
+      expect(callCount).toBe(4)
+      expect(await redis.keys('*')).toEqual([])
+    })
+
+    it('should default the threshold to half of a short ttl', async () => {
+      const memoize = Memoize({ client: redis, ttl: 100, refreshAhead: { interval: 10 } })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test' })
 
       await cached()
+      await cached()
+      await sleep(30)
       expect(callCount).toBe(1)
+      await sleep(50)
+      memoize.stop()
+      expect(callCount).toBe(2)
+    })
 
-      const result2 = await cached.get()
-      expect(result2).toBe('result')
+    it('should forget the least recently hit keys past max', async () => {
+      const memoize = Memoize({ client: redis, ttl: 60, refreshAhead: { threshold: 40, interval: 10, max: 2 } })
+      const calls = []
+      const cached = memoize(async (id) => calls.push(id), { key: 'test', keyArgs: true })
+
+      await Promise.all([cached(1), cached(2), cached(3)])
+      await cached(1)
+      await cached(2)
+      await cached(1)
+      await cached(3)
+      await sleep(40)
+      memoize.stop()
+      expect(calls.sort()).toEqual([1, 1, 2, 3, 3])
+    })
+
+    it('should refresh with the arguments and this of the hit', async () => {
+      const memoize = Memoize({ client: redis, ttl: 60, refreshAhead: { threshold: 40, interval: 10 }, staleTtl: 1000 })
+      const calls = []
+      const cached = memoize(async function (id) {
+        calls.push([this, id])
+        return id
+      }, { key: (id) => `test:${id}` })
+      const ctx = { name: 'ctx' }
+
+      await redis.set('test:1', JSON.stringify({ value: 1, expiresAt: Date.now() - 1 }))
+      expect(await cached.call(ctx, 1)).toBe(1)
+      await sleep(50)
+      memoize.stop()
+      expect(calls).toEqual([[ctx, 1]])
+    })
+
+    it('should not track cached errors', async () => {
+      const memoize = Memoize({ client: redis, ttl: 60, refreshAhead: { threshold: 40, interval: 10 } })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        throw new Error('failed')
+      }, { key: 'test', cacheErrors: true })
+
+      await expect(cached()).rejects.toThrow('failed')
+      await expect(cached()).rejects.toThrow('failed')
+      await sleep(50)
       expect(callCount).toBe(1)
     })
 
-    it('should return undefined when key function returns false', async () => {
+    it('should stop the schedulers and flush stats', async () => {
+      const memoize = Memoize({ client: redis, ttl: 60, refreshAhead: { threshold: 40, interval: 10 }, stats: { interval: 60000 } })
+      let callCount = 0
+      const a = memoize(async () => ++callCount, { key: 'a' })
+      const b = memoize(async () => ++callCount, { key: 'b' })
+      memoize(async () => 'c', { key: 'c', refreshAhead: false })
+
+      await Promise.all([a(), b()])
+      await Promise.all([a(), b()])
+      a.stop()
+      await sleep(30)
+      expect(callCount).toBe(3)
+
+      await b()
+      await memoize.stop()
+      await sleep(50)
+      expect(callCount).toBe(3)
+      expect(await redis.hgetall('stats')).toMatchObject({ 'a:hits': '1', 'b:hits': '2' })
+    })
+  })
+
+  describe('tags option', () => {
+    it('should throw if tags are invalid', async () => {
       const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
-        key: () => false,
-        ttl: 1000
+      const fn = async () => 'test'
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, tags: 'user' })).toThrow('`tags` must be an array of strings or a function')
+      expect(() => memoize(fn, { client: mockRedis, key: 'test', ttl: 1000, tags: ['user'] })).toThrow('`client` must implement eval when `tags` is enabled')
+
+      const cached = memoize(fn, { key: 'test', ttl: 1000, tags: () => 'user' })
+      await expect(cached()).rejects.toThrow('`tags` function must return an array of strings')
+      await expect(memoize.invalidateTags('user')).rejects.toThrow('`tags` must be an array of strings')
+      await expect(Memoize().invalidateTags(['user'])).rejects.toThrow('`client` must implement zrange, zrem and unlink to invalidate tags')
+    })
+
+    it('should invalidate entries across memoized functions', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:' })
+      let userCount = 0
+      let postsCount = 0
+      const getUser = memoize(async (id) => {
+        userCount++
+        return { id }
+      }, {
+        key: (id) => `user:${id}`,
+        ttl: 1000,
+        tags: (user, id) => [`user:${id}`]
+      })
+      const getPosts = memoize(async (userId) => {
+        postsCount++
+        return [`post-${userId}`]
+      }, {
+        key: (userId) => `posts:${userId}`,
+        ttl: 1000,
+        tags: (posts, userId) => [`user:${userId}`, 'posts']
       })
 
-      const result = await cached.get()
-      expect(result).toBe(undefined)
+      await getUser(42)
+      await getPosts(42)
+      await getUser(43)
+      expect((await redis.zrange('app:tag:user:42', 0, -1)).sort()).toEqual(['app:posts:42', 'app:user:42'])
+
+      const count = await memoize.invalidateTags(['user:42'])
+      expect(count).toBe(2)
+      expect(await redis.zcard('app:tag:user:42')).toBe(0)
+
+      await getUser(42)
+      await getPosts(42)
+      await getUser(43)
+      expect(userCount).toBe(3)
+      expect(postsCount).toBe(2)
     })
 
-    it('should support function key in get', async () => {
+    it('should support static tags and set', async () => {
       const memoize = Memoize({ client: redis })
       const fn = async (id) => `result-${id}`
-      const cached = memoize(fn, {
-        key: (id) => `item:${id}`,
-        ttl: 1000
+      const cached = memoize(fn, { key: (id) => `item:${id}`, ttl: 1000, tags: ['items'] })
+
+      await cached(1)
+      await cached.set(2, 'manual')
+      await cached.set(3, undefined)
+
+      expect((await redis.zrange('tag:items', 0, -1)).sort()).toEqual(['item:1', 'item:2'])
+      expect(await memoize.invalidateTags(['items', 'unknown'])).toBe(2)
+      expect(await cached.get(1)).toBe(undefined)
+      expect(await cached.get(2)).toBe(undefined)
+    })
+
+    it('should invalidate entries on the clients of tagged functions', async () => {
+      const other = new Redis({ db: 1 })
+      const memoize = Memoize({ client: redis })
+      const a = memoize(async () => 'a', { key: 'a', ttl: 1000, tags: ['t'] })
+      const b = memoize(async () => 'b', { client: other, key: 'b', ttl: 1000, tags: ['t'] })
+
+      await Promise.all([a(), b()])
+      expect(await other.exists('b', 'tag:t')).toBe(2)
+      expect(await memoize.invalidateTags(['t'])).toBe(2)
+      expect(await redis.exists('a')).toBe(0)
+      expect(await other.exists('b')).toBe(0)
+      await other.flushdb()
+      await other.quit()
+    })
+
+    it('should keep members tagged again while invalidating', async () => {
+      // Re-tag the entry as if it was recomputed between ZREM and UNLINK
+      const client = Object.assign(Object.create(redis), {
+        unlink: async (...keys) => {
+          await redis.zadd('tag:items', Date.now() + 1000, 'item:1')
+          return redis.unlink(...keys)
+        }
       })
+      const memoize = Memoize({ client })
+      const cached = memoize(async (id) => `result-${id}`, { key: (id) => `item:${id}`, ttl: 1000, tags: ['items'] })
 
       await cached(1)
-      await cached(2)
+      expect(await memoize.invalidateTags(['items'])).toBe(1)
+      expect(await redis.zrange('tag:items', 0, -1)).toEqual(['item:1'])
+    })
 
-      const result1 = await cached.get(1)
-      expect(result1).toBe('result-1')
+    it('should expire the tag set with its longest-living entry', async () => {
+      const memoize = Memoize({ client: redis })
+      const short = memoize(async () => 'short', { key: 'short', ttl: 1000, tags: ['t'] })
+      const long = memoize(async () => 'long', { key: 'long', ttl: 5000, staleTtl: 5000, tags: ['t'] })
+
+      await long()
+      await short()
+      const pttl = await redis.pttl('tag:t')
+      expect(pttl).toBeGreaterThan(9000)
+      expect(pttl).toBeLessThanOrEqual(10000)
+    })
 
-      const result2 = await cached.get(2)
-      expect(result2).toBe('result-2')
+    it('should prune expired members on write', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, tags: ['t'] })
+
+      await redis.zadd('tag:t', Date.now() - 1000, 'expired')
+      await cached()
+
+      expect(await redis.zrange('tag:t', 0, -1)).toEqual(['test'])
+    })
+
+    it('should report tag write errors without failing the call', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis })
+      const mockRedis = {
+        get: async () => null,
+        set: async () => 'OK',
+        del: async () => {},
+        eval: async () => { throw new Error('redis error') }
+      }
+      const cached = memoize(async () => 'result', {
+        client: mockRedis,
+        key: 'test',
+        ttl: 1000,
+        tags: ['t'],
+        onError: (err, info) => errors.push({ err, info })
+      })
+
+      expect(await cached()).toBe('result')
+      expect(errors.length).toBe(1)
+      expect(errors[0].info).toEqual({ operation: 'tag', key: 'test' })
     })
   })
 
-  describe('set method', () => {
-    it('should manually set cache value', async () => {
+  describe('local option', () => {
+    it('should throw if local options are invalid', () => {
+      const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, local: { max: 0 } })).toThrow('`local.max` must be a positive integer')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, local: { ttl: -1 } })).toThrow('`local.ttl` must be a positive number of milliseconds')
+    })
+
+    it('should serve hits from memory without redis round trip', async () => {
       const memoize = Memoize({ client: redis })
       let callCount = 0
       const fn = async () => {
         callCount++
-        return 'original'
+        return 'result'
       }
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+      const cached = memoize(fn, { key: 'test', ttl: 1000, local: true })
 
-      await cached.set('manual')
+      await cached()
+      await redis.del('test')
 
-      const result = await cached()
-      expect(result).toBe('manual')
-      expect(callCount).toBe(0)
+      expect(await cached()).toBe('result')
+      expect(await cached.get()).toBe('result')
+      expect(callCount).toBe(1)
     })
 
-    it('should support function key in set', async () => {
+    it('should fill memory after a redis hit', async () => {
       const memoize = Memoize({ client: redis })
-      const fn = async (id) => `original-${id}`
-      const cached = memoize(fn, {
-        key: (id) => `item:${id}`,
-        ttl: 1000
-      })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, local: { max: 10 } })
 
-      await cached.set(1, 'manual-1')
-      await cached.set(2, 'manual-2')
+      await redis.set('test', JSON.stringify({ value: 'from-redis', expiresAt: Date.now() + 1000 }))
+      expect(await cached()).toBe('from-redis')
 
-      const result1 = await cached(1)
-      expect(result1).toBe('manual-1')
+      await redis.set('test', JSON.stringify({ value: 'changed', expiresAt: Date.now() + 1000 }))
+      expect(await cached()).toBe('from-redis')
+    })
 
-      const result2 = await cached(2)
-      expect(result2).toBe('manual-2')
+    it('should expire local entries after local ttl', async () => {
+      const memoize = Memoize({ client: redis })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, local: { ttl: 50 } })
+
+      await cached()
+      await redis.set('test', JSON.stringify({ value: 'changed', expiresAt: Date.now() + 1000 }))
+      expect(await cached()).toBe('result')
+
+      await new Promise(resolve => setTimeout(resolve, 70))
+      expect(await cached()).toBe('changed')
     })
 
-    it('should not set when key function returns false', async () => {
+    it('should never keep local entries longer than redis ttl', async () => {
       const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
-        key: () => false,
-        ttl: 1000
-      })
+      let callCount = 0
+      const cached = memoize(async () => `result-${++callCount}`, { key: 'test', ttl: 50, local: { ttl: 10000 } })
+
+      expect(await cached()).toBe('result-1')
+      await new Promise(resolve => setTimeout(resolve, 70))
+      expect(await cached()).toBe('result-2')
+    })
+
+    it('should not keep entries read from redis past their redis ttl', async () => {
+      const writer = Memoize({ client: redis })(async () => 'old', { key: 'test', ttl: 200, local: true })
+      let callCount = 0
+      const reader = Memoize({ client: redis })(async () => `new-${++callCount}`, { key: 'test', ttl: 200, local: true })
+
+      await writer()
+      await new Promise(resolve => setTimeout(resolve, 150))
+      expect(await reader()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(await reader()).toBe('new-1')
+    })
+
+    it('should not keep stale entries in memory', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async () => `result-${++callCount}`, { key: 'test', ttl: 1000, staleTtl: 1000, local: true })
+
+      await redis.set('test', JSON.stringify({ value: 'old', expiresAt: Date.now() - 100 }))
+
+      expect(await cached()).toBe('old')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(await cached()).toBe('result-1')
+    })
+
+    it('should evict least recently used entries', async () => {
+      const memoize = Memoize({ client: redis })
+      let callCount = 0
+      const cached = memoize(async (id) => {
+        callCount++
+        return `result-${id}`
+      }, { key: (id) => `item:${id}`, ttl: 1000, local: { max: 2 } })
+
+      await cached(1)
+      await cached(2)
+      await cached(1)
+      await cached(3)
+      await redis.flushdb()
 
-      const result = await cached.set('value')
-      expect(result).toBe(undefined)
+      await cached(1)
+      await cached(3)
+      expect(callCount).toBe(3)
+      await cached(2)
+      expect(callCount).toBe(4)
     })
 
-    it('should not set undefined values', async () => {
+    it('should set and clear both tiers', async () => {
       const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+      let callCount = 0
+      const cached = memoize(async () => {
+        callCount++
+        return 'result'
+      }, { key: 'test', ttl: 1000, local: true })
 
-      await cached.set(undefined)
+      await cached.set('manual')
+      await redis.del('test')
+      expect(await cached()).toBe('manual')
 
-      const result = await cached.get()
-      expect(result).toBe(undefined)
+      await cached.set('manual')
+      expect(await cached.clear()).toBe(1)
+      expect(await cached.get()).toBe(undefined)
+      expect(await cached()).toBe('result')
+      expect(callCount).toBe(1)
     })
-  })
 
-  describe('clear method', () => {
-    it('should clear cached value', async () => {
+    it('should not keep undefined results in memory', async () => {
       const memoize = Memoize({ client: redis })
       let callCount = 0
-      const fn = async () => {
+      const cached = memoize(async () => {
         callCount++
-        return 'result'
-      }
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+      }, { key: 'test', ttl: 1000, local: true })
 
       await cached()
-      expect(callCount).toBe(1)
-
-      await cached.clear()
-
       await cached()
       expect(callCount).toBe(2)
     })
 
-    it('should support function key in clear', async () => {
+    it('should drop local entries when their tags are invalidated', async () => {
       const memoize = Memoize({ client: redis })
       let callCount = 0
-      const fn = async (id) => {
+      const cached = memoize(async (id) => {
         callCount++
         return `result-${id}`
-      }
-      const cached = memoize(fn, {
-        key: (id) => `item:${id}`,
-        ttl: 1000
-      })
+      }, { key: (id) => `item:${id}`, ttl: 1000, local: true, tags: (result, id) => [`item:${id}`] })
 
       await cached(1)
       await cached(2)
-      expect(callCount).toBe(2)
-
-      await cached.clear(1)
-
+      expect(await memoize.invalidateTags(['item:1'])).toBe(1)
       await cached(1)
+      await cached(2)
       expect(callCount).toBe(3)
+    })
+  })
 
-      await cached(2)
-      expect(callCount).toBe(3) // Still cached
+  describe('subscriber option', () => {
+    let subscriber1
+    let subscriber2
+
+    beforeEach(() => {
+      subscriber1 = new Redis()
+      subscriber2 = new Redis()
     })
 
-    it('should return undefined when key function returns false', async () => {
-      const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
-        key: () => false,
-        ttl: 1000
+    afterEach(async () => {
+      await subscriber1.quit()
+      await subscriber2.quit()
+    })
+
+    function createInstances (fnOptions) {
+      const counts = [0, 0]
+      const fns = [subscriber1, subscriber2].map((subscriber, i) => {
+        const memoize = Memoize({ client: redis, subscriber, prefix: 'app:' })
+        return memoize(async (id) => `result-${id}-${++counts[i]}`, Object.assign({
+          key: (id) => `item:${id}`,
+          ttl: 1000,
+          local: true
+        }, fnOptions))
       })
+      return { fns, counts }
+    }
+
+    it('should throw if subscriber or client is invalid', () => {
+      expect(() => Memoize({ client: redis, subscriber: {} })).toThrow('`subscriber` must be a redis-like client with subscribe/on methods')
+      const memoize = Memoize({ subscriber: subscriber1 })
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => Memoize({ client: mockRedis, subscriber: subscriber1 })).toThrow('`client` must implement publish when `subscriber` is set')
+      expect(() => memoize(async () => 'test', { client: mockRedis, key: 'test', ttl: 1000 })).toThrow('`client` must implement publish when `subscriber` is set')
+    })
 
-      const result = await cached.clear()
-      expect(result).toBe(undefined)
+    it('should drop local entries on other instances after set', async () => {
+      const { fns: [a, b] } = createInstances()
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      expect(await a(1)).toBe('result-1-1')
+      expect(await b(1)).toBe('result-1-1')
+
+      await a.set(1, 'manual')
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      expect(await b(1)).toBe('manual')
+      expect(await a(1)).toBe('manual')
     })
 
-    it('should return deletion count', async () => {
-      const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
+    it('should drop local entries on other instances after clear', async () => {
+      const { fns: [a, b], counts } = createInstances()
+      await new Promise(resolve => setTimeout(resolve, 20))
 
-      await cached()
-      const result1 = await cached.clear()
-      expect(result1).toBe(1)
+      await a(1)
+      await b(1)
+      await b(2)
 
-      const result2 = await cached.clear()
-      expect(result2).toBe(0)
+      await a.clear(1)
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      expect(await b(1)).toBe('result-1-2')
+      expect(counts).toEqual([1, 2])
+      expect(await b(2)).toBe('result-2-1')
+      expect(counts).toEqual([1, 2])
     })
-  })
 
-  describe('custom getter and setter', () => {
-    it('should use custom getter', async () => {
-      const customGet = async (redis, key) => {
-        const value = await redis.get(key)
-        return value ? `custom:${value}` : undefined
-      }
+    it('should wipe local caches on other instances after clearAll and clearPrefix', async () => {
+      const memoizes = [subscriber1, subscriber2].map(subscriber => Memoize({ client: redis, subscriber, prefix: 'app:' }))
+      const counts = [0, 0]
+      const [a, b] = memoizes.map((memoize, i) => memoize(async (id) => `result-${id}-${++counts[i]}`, { key: 'item', keyArgs: true, ttl: 1000, local: true }))
+      const [hashA, hashB] = memoizes.map((memoize, i) => memoize(async function items (id) { return `hash-${id}-${++counts[i]}` }, { ttl: 1000, local: true, storage: 'hash' }))
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      await a(1)
+      await b(1)
+      expect(counts).toEqual([1, 0])
+      await a.clearAll()
+      await new Promise(resolve => setTimeout(resolve, 20))
+      await b(1)
+      expect(counts).toEqual([1, 1])
+
+      await hashA(1)
+      await hashB(1)
+      expect(counts).toEqual([2, 1])
+      await hashA.clearAll()
+      await new Promise(resolve => setTimeout(resolve, 20))
+      await hashB(1)
+      expect(counts).toEqual([2, 2])
+
+      await memoizes[0].clearPrefix()
+      await new Promise(resolve => setTimeout(resolve, 20))
+      await b(1)
+      expect(counts).toEqual([2, 3])
+    })
 
-      const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
-        key: 'test',
-        ttl: 1000,
-        get: customGet
-      })
+    it('should drop local entries on other instances after invalidateTags', async () => {
+      const { fns: [a, b], counts } = createInstances({ tags: (result, id) => [`item:${id}`] })
+      const memoize = Memoize({ client: redis, subscriber: subscriber1, prefix: 'app:' })
+      await new Promise(resolve => setTimeout(resolve, 20))
 
-      await redis.set('test', 'direct')
-      const result = await cached()
-      expect(result).toBe('custom:direct')
+      await a(1)
+      await b(1)
+      await b(2)
+      expect(await memoize.invalidateTags(['item:1', 'unknown'])).toBe(1)
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      expect(await b(1)).toBe('result-1-2')
+      expect(await b(2)).toBe('result-2-1')
+      expect(counts).toEqual([1, 2])
     })
 
-    it('should use custom setter', async () => {
-      const customSet = async (redis, key, value, ttl) => {
-        await redis.set(key, `custom:${value}`, 'PX', ttl)
-      }
+    it('should ignore own and unrelated messages', async () => {
+      const { fns: [a] } = createInstances()
+      await subscriber1.subscribe('other')
+      await new Promise(resolve => setTimeout(resolve, 20))
 
-      const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
-        key: 'test',
-        ttl: 1000,
-        set: customSet
-      })
+      await a(1)
+      await redis.publish('other', JSON.stringify({ key: 'app:item:1' }))
+      await redis.publish('app:invalidate', 'invalid json')
+      await redis.publish('app:invalidate', 'null')
+      await redis.set('app:item:1', JSON.stringify('changed'))
+      await new Promise(resolve => setTimeout(resolve, 20))
 
-      await cached()
-      const value = await redis.get('test')
-      expect(value).toBe('custom:result')
+      expect(await a(1)).toBe('result-1-1')
     })
 
-    it('should propagate getter errors from custom getter', async () => {
-      const customGet = async () => {
-        throw new Error('getter error')
+    it('should wipe local caches when the subscription reconnects', async () => {
+      const { fns: [a] } = createInstances()
+
+      await a(1)
+      await redis.set('app:item:1', JSON.stringify({ value: 'changed', expiresAt: Date.now() + 1000 }))
+
+      subscriber1.emit('ready')
+      expect(await a(1)).toBe('result-1-1')
+
+      subscriber1.emit('close')
+      subscriber1.emit('ready')
+      expect(await a(1)).toBe('changed')
+    })
+
+    it('should report publish and subscribe errors', async () => {
+      const errors = []
+      const onError = (_, info) => errors.push(info)
+      const subscriber = {
+        on: () => {},
+        subscribe: async () => { throw new Error('subscribe error') }
+      }
+      const mockRedis = {
+        get: async () => null,
+        set: async () => 'OK',
+        del: async () => 1,
+        scan: async () => ['0', []],
+        unlink: async () => 0,
+        publish: async () => { throw new Error('publish error') }
       }
+      const memoize = Memoize({ client: mockRedis, subscriber, onError })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000 })
+
+      await cached.set('manual')
+      expect(await cached.clear()).toBe(1)
+      expect(await cached.clearAll()).toBe(0)
+      expect(await memoize.clearPrefix('test')).toBe(0)
+      expect(errors).toEqual([
+        { operation: 'subscribe', key: 'invalidate' },
+        { operation: 'publish', key: 'test' },
+        { operation: 'publish', key: 'test' },
+        { operation: 'publish', key: 'test:*' },
+        { operation: 'publish', key: 'test*' }
+      ])
+    })
+  })
+
+  describe('operationTimeout and circuitBreaker options', () => {
+    const stalled = () => new Promise(() => {})
 
+    it('should throw if failure policy options are invalid', () => {
       const memoize = Memoize({ client: redis })
+      const fn = async () => 'test'
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, operationTimeout: -1 })).toThrow('`operationTimeout` must be a non-negative number of milliseconds')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, circuitBreaker: { threshold: 0 } })).toThrow('`circuitBreaker.threshold` must be a positive integer')
+      expect(() => memoize(fn, { key: 'test', ttl: 1000, circuitBreaker: { cooldown: 0 } })).toThrow('`circuitBreaker.cooldown` must be a positive number of milliseconds')
+    })
+
+    it('should call fn when cache reads and writes time out', async () => {
+      const errors = []
+      const client = { get: stalled, set: stalled, del: async () => 0 }
+      const memoize = Memoize({ client, operationTimeout: 20, onError: (err, info) => errors.push([err.name, info]) })
       let callCount = 0
-      const fn = async () => {
-        callCount++
-        return 'result'
-      }
-      const cached = memoize(fn, {
-        key: 'test',
-        ttl: 1000,
-        get: customGet
-      })
+      const cached = memoize(async () => ++callCount, { key: 'test', ttl: 1000 })
+
+      const start = Date.now()
+      expect(await cached()).toBe(1)
+      expect(Date.now() - start).toBeLessThan(200)
+      expect(errors).toEqual([
+        ['TimeoutError', { operation: 'get', key: 'test' }],
+        ['TimeoutError', { operation: 'set', key: 'test' }]
+      ])
+    })
 
-      await expect(cached()).rejects.toThrow('getter error')
-      expect(callCount).toBe(0)
+    it('should time out lock and tag commands', async () => {
+      const errors = []
+      const client = { get: stalled, set: stalled, del: async () => 0, eval: stalled }
+      const memoize = Memoize({ client, operationTimeout: 20, onError: (err, info) => errors.push([err.name, info.operation]) })
+      const locked = memoize(async () => 'locked', { key: 'locked', ttl: 1000, lock: true })
+      const tagged = memoize(async () => 'tagged', { key: 'tagged', ttl: 1000, tags: ['t'] })
+
+      const start = Date.now()
+      expect(await locked()).toBe('locked')
+      expect(await tagged()).toBe('tagged')
+      expect(Date.now() - start).toBeLessThan(500)
+      expect(errors).toEqual([
+        ['TimeoutError', 'get'],
+        ['TimeoutError', 'lock'],
+        ['TimeoutError', 'set'],
+        ['TimeoutError', 'lock'],
+        ['TimeoutError', 'get'],
+        ['TimeoutError', 'set'],
+        ['TimeoutError', 'tag']
+      ])
     })
 
-    it('should propagate setter errors from custom setter', async () => {
-      const customSet = async () => {
-        throw new Error('setter error')
-      }
+    it('should count lock and tag failures toward the circuit breaker', async () => {
+      const errors = []
+      const client = Object.assign(Object.create(redis), { eval: () => Promise.reject(new Error('eval error')) })
+      const memoize = Memoize({ client, circuitBreaker: { threshold: 2, cooldown: 1000 }, onError: (_, info) => errors.push(info.operation) })
+      let callCount = 0
+      const cached = memoize(async () => ++callCount, { key: 'test', ttl: 1000, lock: true, tags: ['t'] })
+
+      expect(await cached()).toBe(1)
+      expect(errors).toEqual(['tag', 'lock'])
+      await redis.del('test')
+      expect(await cached()).toBe(2)
+      expect(await redis.get('test')).toBeNull()
+      expect(errors).toEqual(['tag', 'lock'])
+    })
 
-      const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
+    it('should handle errors of custom getters and setters', async () => {
+      const errors = []
+      const memoize = Memoize({ client: redis, circuitBreaker: true, onError: (_, info) => errors.push(info) })
+      const cached = memoize(async () => 'result', {
         key: 'test',
         ttl: 1000,
-        set: customSet
+        get: async () => { throw new Error('getter error') },
+        set: async () => { throw new Error('setter error') }
       })
 
-      await expect(cached()).rejects.toThrow('setter error')
+      expect(await cached()).toBe('result')
+      expect(errors).toEqual([{ operation: 'get', key: 'test' }, { operation: 'set', key: 'test' }])
     })
-  })
-
-  describe('default getter and setter', () => {
-    it('should handle invalid JSON in defaultGet', async () => {
-      const memoize = Memoize({ client: redis })
-      let callCount = 0
-      const fn = async () => {
-        callCount++
-        return 'result'
-      }
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
 
-      await redis.set('test', 'invalid json')
+    it('should time out generation reads', async () => {
+      const errors = []
+      const client = { get: stalled, set: async () => 'OK', del: async () => 0 }
+      const memoize = Memoize({ client, operationTimeout: 20, generation: true, onError: (err, info) => errors.push([err.name, info]) })
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000 })
 
-      const result = await cached()
-      expect(result).toBe('result')
-      expect(callCount).toBe(1)
+      expect(await cached()).toBe('result')
+      expect(errors).toEqual([['TimeoutError', { operation: 'generation', key: '' }]])
     })
 
-    it('should handle redis errors in defaultGet', async () => {
-      const memoize = Memoize({ client: redis })
-      let callCount = 0
-      const fn = async () => {
-        callCount++
-        return 'result'
+    it('should skip redis while the circuit is open', async () => {
+      const errors = []
+      let reads = 0
+      let down = true
+      const client = {
+        get: async (key) => {
+          reads++
+          if (down) throw new Error('redis error')
+          return redis.get(key)
+        },
+        set: async (...args) => {
+          if (down) throw new Error('redis error')
+          return redis.set(...args)
+        },
+        del: (key) => redis.del(key),
+        eval: (...args) => redis.eval(...args)
       }
+      const memoize = Memoize({ client, ttl: 1000, circuitBreaker: { threshold: 2, cooldown: 100 }, onError: (_, info) => errors.push(info.operation) })
+      let callCount = 0
+      const a = memoize(async () => ++callCount, { key: 'a', lock: true, tags: ['t'] })
+      const b = memoize(async () => 'b', { key: 'b', generation: true })
+
+      // The failed lock counts too, the write is skipped
+      expect(await a()).toBe(1)
+      expect(errors).toEqual(['get', 'lock'])
+      // Open for every function of this client
+      expect(await a()).toBe(2)
+      expect(await b()).toBe('b')
+      expect(reads).toBe(1)
+
+      // One failure after the cooldown opens it again
+      await new Promise(resolve => setTimeout(resolve, 110))
+      expect(await a()).toBe(3)
+      expect(await a()).toBe(4)
+      expect(reads).toBe(2)
+      expect(errors).toEqual(['get', 'lock', 'get'])
+
+      await new Promise(resolve => setTimeout(resolve, 110))
+      down = false
+      expect(await a()).toBe(5)
+      expect(await a()).toBe(5)
+      expect(reads).toBe(4)
+      expect(await b()).toBe('b')
+      expect((await redis.keys('*')).sort()).toEqual(['a', 'g0.0:b', 'tag:t'])
+    })
+  })
 
-      const mockRedis = {
-        get: async () => { throw new Error('redis error') },
-        set: async () => {},
-        del: async () => {}
+  describe('events', () => {
+    it('should emit hit, miss, set and skip events', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:' })
+      const events = []
+      for (const event of ['hit', 'miss', 'set', 'skip']) {
+        memoize.events.on(event, info => events.push([event, info]))
       }
-
-      const cached = memoize(fn, { client: mockRedis, key: 'test', ttl: 1000 })
-
-      const result = await cached()
-      expect(result).toBe('result')
-      expect(callCount).toBe(1)
+      const getUser = memoize(async function getUser (id) {
+        return id === 0 ? null : { id }
+      }, { ttl: 1000, keyArgs: true, shouldCache: (user) => user !== null })
+      const skipped = memoize(async () => 'result', { key: () => false, ttl: 1000 })
+
+      await getUser(1)
+      await getUser(1)
+      await getUser(0)
+      await skipped()
+      expect(events).toEqual([
+        ['miss', { name: 'getUser', key: 'app:getUser:[1]', latency: expect.any(Number) }],
+        ['set', { name: 'getUser', key: 'app:getUser:[1]', ttl: 1000, latency: expect.any(Number), size: 8 }],
+        ['hit', { name: 'getUser', key: 'app:getUser:[1]', latency: expect.any(Number), size: 8 }],
+        ['miss', { name: 'getUser', key: 'app:getUser:[0]', latency: expect.any(Number) }],
+        ['skip', { name: 'getUser', key: 'app:getUser:[0]', reason: 'shouldCache' }],
+        ['skip', { name: '', reason: 'key' }]
+      ])
     })
 
-    it('should handle redis errors in defaultSet', async () => {
+    it('should emit stale hits and negative entries', async () => {
       const memoize = Memoize({ client: redis })
-      const fn = async () => 'result'
+      const events = []
+      memoize.events.on('hit', info => events.push(['hit', info]))
+      memoize.events.on('set', info => events.push(['set', info]))
+      const cached = memoize(async (id) => id ? 'result' : undefined, { key: 'test', ttl: 50, keyArgs: true, staleTtl: 1000, cacheUndefined: 1000 })
 
-      const mockRedis = {
-        get: async () => null,
-        set: async () => { throw new Error('redis error') },
-        del: async () => {}
-      }
+      await cached(0)
+      await cached(1)
+      await new Promise(resolve => setTimeout(resolve, 60))
+      await cached(1)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      expect(events).toEqual([
+        ['set', { name: 'test', key: 'test:[0]', ttl: 1000, latency: expect.any(Number), size: 24 }],
+        ['set', { name: 'test', key: 'test:[1]', ttl: 50, latency: expect.any(Number), size: 8 }],
+        ['hit', { name: 'test', key: 'test:[1]', latency: expect.any(Number), size: 8, stale: true }],
+        ['set', { name: 'test', key: 'test:[1]', ttl: 50, latency: expect.any(Number), size: 8 }]
+      ])
+    })
 
-      const cached = memoize(fn, { client: mockRedis, key: 'test', ttl: 1000 })
+    it('should emit clear events', async () => {
+      const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000 })
+      const events = []
+      memoize.events.on('clear', info => events.push(info))
+      const cached = memoize(async () => 'result', { key: 'test', keyArgs: true })
 
-      const result = await cached()
-      expect(result).toBe('result')
+      await cached(1)
+      await cached(2)
+      await cached(3)
+      await cached.clear(1)
+      await cached.clearAll({ dryRun: true })
+      await cached.clearAll()
+      await memoize.clearPrefix()
+      expect(events).toEqual([
+        { name: 'test', key: 'app:test:[1]', latency: expect.any(Number), count: 1 },
+        { name: 'test', key: 'app:test:*', latency: expect.any(Number), count: 2 },
+        { key: 'app:*', latency: expect.any(Number), count: 0 }
+      ])
     })
 
-    it('should treat null as cache miss in defaultGet', async () => {
-      const memoize = Memoize({ client: redis })
-      let callCount = 0
-      const fn = async () => {
-        callCount++
-        return 'result'
+    it('should emit errors', async () => {
+      const events = []
+      const subscriber = {
+        on: () => {},
+        subscribe: async () => { throw new Error('subscribe error') }
       }
-      const cached = memoize(fn, { key: 'test', ttl: 1000 })
-
-      await redis.set('test', 'null')
-      await redis.del('test') // Ensure key doesn't exist
+      const mockRedis = {
+        get: async () => { throw new Error('get error') },
+        set: async () => 'OK',
+        del: async () => 1,
+        publish: async () => 1
+      }
+      const memoize = Memoize({ client: mockRedis, subscriber })
+      memoize.events.on('error', info => events.push(info))
+      memoize.events.on('set', info => events.push(info))
+      const cached = memoize(async () => 'result', { key: 'test', ttl: 1000, codec: { encode: () => { throw new Error('encode error') }, decode: JSON.parse } })
 
-      const result = await cached()
-      expect(result).toBe('result')
-      expect(callCount).toBe(1)
+      await cached()
+      expect(events).toEqual([
+        { error: new Error('subscribe error'), operation: 'subscribe', key: 'invalidate' },
+        { name: 'test', error: new Error('get error'), operation: 'get', key: 'test' },
+        { name: 'test', error: new Error('encode error'), operation: 'set', key: 'test' },
+        { name: 'test', key: 'test', ttl: 1000, latency: expect.any(Number) }
+      ])
     })
   })
 
-  describe('options merging', () => {
-    it('should merge default options with function options', async () => {
-      const memoize = Memoize({
-        client: redis,
-        prefix: 'default:',
-        ttl: 5000
-      })
+  describe('stats', () => {
+    it('should throw if stats options are invalid', async () => {
+      const mockRedis = { get: async () => null, set: async () => {}, del: async () => {} }
+      expect(() => Memoize({ client: redis, stats: { key: '' } })).toThrow('`stats.key` must be a non-empty string')
+      expect(() => Memoize({ client: redis, stats: { interval: 0 } })).toThrow('`stats.interval` must be a positive number of milliseconds')
+      expect(() => Memoize({ client: mockRedis, stats: true })).toThrow('`client` must implement hincrby and hgetall when `stats` is enabled')
+      await expect(Memoize({ client: redis }).fleetStats()).rejects.toThrow('`stats` must be enabled to read fleet-wide stats')
+    })
 
-      const fn = async () => 'result'
-      const cached = memoize(fn, {
-        key: 'test',
-        ttl: 1000 // Override default ttl
+    it('should count hits, misses and computes', async () => {
+      const memoize = Memoize({ client: redis, ttl: 1000, onError: () => {} })
+      const a = memoize(async function a (id) {
+        await new Promise(resolve => setTimeout(resolve, 20))
+        return id
+      }, { keyArgs: true })
+      const b = memoize(async function b () { return 1n })
+
+      expect(a.stats()).toEqual({ hits: 0, misses: 0, sets: 0, errors: 0, computes: 0, hitRatio: 0, avgComputeTime: 0, avgLatency: 0 })
+      await a(1)
+      await a(1)
+      await a(1)
+      await a(2)
+      await b()
+      expect(a.stats()).toEqual({ hits: 2, misses: 2, sets: 2, errors: 0, computes: 2, hitRatio: 0.5, avgComputeTime: expect.any(Number), avgLatency: expect.any(Number) })
+      expect(a.stats().avgComputeTime).toBeGreaterThanOrEqual(15)
+      expect(b.stats()).toMatchObject({ hits: 0, misses: 1, sets: 1, errors: 1, computes: 1 })
+      expect(memoize.stats()).toMatchObject({ hits: 2, misses: 3, sets: 3, errors: 1, computes: 3, hitRatio: 0.4 })
+
+      a.resetStats()
+      expect(a.stats().hits).toBe(0)
+      expect(memoize.stats().misses).toBe(1)
+      memoize.resetStats()
+      expect(memoize.stats().misses).toBe(0)
+    })
+
+    it('should leave local hits out of the redis latency', async () => {
+      const client = Object.assign(Object.create(redis), {
+        get: async (key) => {
+          await new Promise(resolve => setTimeout(resolve, 20))
+          return redis.get(key)
+        }
       })
+      const memoize = Memoize({ client, ttl: 1000 })
+      const hits = []
+      memoize.events.on('hit', (event) => hits.push(event))
+      const cached = memoize(async () => 'result', { key: 'test', local: true })
 
       await cached()
-      const value = await redis.get('default:test')
-      expect(JSON.parse(value)).toBe('result')
+      for (let i = 0; i < 10; i++) {
+        await cached()
+      }
+      expect(hits).toHaveLength(10)
+      expect(hits.every(hit => hit.local === true)).toBe(true)
+      expect(cached.stats()).toMatchObject({ hits: 10, misses: 1, sets: 1 })
+      expect(cached.stats().avgLatency).toBeGreaterThanOrEqual(8)
     })
 
-    it('should use default options when function options not provided', async () => {
-      const memoize = Memoize({
-        client: redis,
-        prefix: 'app:',
-        key: 'default-key',
-        ttl: 1000
+    it('should add counters of all instances to a hash', async () => {
+      const instances = [1, 2].map(() => {
+        const memoize = Memoize({ client: redis, prefix: 'app:', ttl: 1000, stats: { interval: 50 } })
+        return { memoize, cached: memoize(async () => 'result', { key: 'test' }), other: memoize(async () => 'other', { key: 'other' }) }
       })
 
-      const fn = async () => 'result'
-      const cached = memoize(fn, {})
+      await instances[0].cached()
+      await instances[1].cached()
+      await instances[1].other()
+      await instances[0].memoize.flushStats()
+      expect(await redis.hgetall('app:stats')).toMatchObject({ 'test:misses': '1', 'test:sets': '1', 'test:computes': '1' })
 
-      await cached()
-      const value = await redis.get('app:default-key')
-      expect(JSON.parse(value)).toBe('result')
-    })
+      await new Promise(resolve => setTimeout(resolve, 60))
+      expect(await instances[0].memoize.fleetStats()).toMatchObject({ hits: 1, misses: 2, sets: 2, computes: 2, hitRatio: 1 / 3 })
+      expect(await instances[1].cached.fleetStats()).toMatchObject({ hits: 1, misses: 1, sets: 1, computes: 1, hitRatio: 0.5 })
 
-    it('should work when fnOptions is omitted', async () => {
-      const memoize = Memoize({
-        client: redis,
-        key: 'default-key-omitted',
-        ttl: 1000
-      })
+      instances[0].memoize.resetStats()
+      await instances[0].memoize.flushStats()
+      expect(instances[0].memoize.stats().misses).toBe(0)
+      expect((await instances[0].memoize.fleetStats()).misses).toBe(2)
+    })
 
-      const fn = async () => 'result'
-      const cached = memoize(fn) // fnOptions omitted, uses default {}
+    it('should report stats hash errors', async () => {
+      const errors = []
+      const events = []
+      const client = {
+        get: (key) => redis.get(key),
+        set: (...args) => redis.set(...args),
+        del: (key) => redis.del(key),
+        hincrby: async () => { throw new Error('redis error') },
+        hgetall: async () => null
+      }
+      const memoize = Memoize({ client, ttl: 1000, stats: true, onError: (_, info) => errors.push(info) })
+      memoize.events.on('error', info => events.push(info.operation))
+      const cached = memoize(async () => 'result', { key: 'test' })
 
-      const result = await cached()
-      expect(result).toBe('result')
-      const value = await redis.get('default-key-omitted')
-      expect(JSON.parse(value)).toBe('result')
+      await cached()
+      await memoize.flushStats()
+      expect(errors).toEqual([{ operation: 'stats', key: 'stats' }])
+      expect(events).toEqual(['stats'])
+      expect(await memoize.fleetStats()).toMatchObject({ hits: 0, misses: 0 })
+
+      const silent = Memoize({ client, ttl: 1000, stats: true })
+      await silent.flushStats()
+      await silent(async () => 'result', { key: 'test' })()
+      await silent.flushStats()
+      expect(errors.length).toBe(1)
     })
   })
 
@@ -1,3 +1,8 @@
+import { createHash, randomUUID } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
+
 /**
  * A lightweight Redis-powered caching layer for async functions.
  *
@@ -5,14 +10,80 @@
  * @param {Object} options.client Redis-like client instance (must implement get/set/del).
  * @param {string} [options.prefix] Key prefix used for all cache entries.
  * @param {string|Function} [options.key] Default key or key generator for functions.
- * @param {number} [options.ttl] Default TTL in milliseconds for cached values.
+ * @param {number|Function} [options.ttl] Default TTL in milliseconds for cached values, or `(result, ...args) => ms`.
+ * @param {Function} [options.shouldCache] Predicate `(result, ...args) => boolean` deciding whether a result is stored.
+ * @param {boolean} [options.sliding] Reset the expiry to `ttl` on every hit.
+ * @param {number} [options.maxAge] With `sliding`, maximum lifetime in milliseconds of an entry.
+ * @param {boolean|number} [options.cacheUndefined] Cache `undefined` results, a number sets their TTL in milliseconds.
+ * @param {boolean|Object} [options.cacheErrors] Cache errors thrown by functions: `{ ttl, filter }`.
+ * @param {boolean|Object} [options.keyArgs] Append a stable serialization of the arguments to string keys: `{ maxLength }`.
+ * @param {boolean|Function} [options.hashTag] Redis Cluster hash tag of keys: `true` for the function name, or `(...args) => string`.
+ * @param {string} [options.storage] `'key'` (default) for one key per entry, or `'hash'` for one hash per function with a field per entry.
+ * @param {string|number} [options.version] Version added to every key, changing it makes older entries unreachable.
+ * @param {boolean|Object} [options.generation] Add generation counters bumped with `bumpVersion()` to keys: `{ ttl }`.
+ * @param {string|Object} [options.codec] Serializer of the default getter/setter: `'json'` (default), `'typed'` or `{ encode, decode }`.
+ * @param {boolean|Object} [options.compress] Compress large values of the default getter/setter: `{ threshold, algorithm }`.
  * @param {Function} [options.get] Custom getter `(redis, key) => any`.
  * @param {Function} [options.set] Custom setter `(redis, key, value, ttl) => any`.
- * @returns {(fn: Function, fnOptions?: Object|number) => Function} Memoized function factory.
+ * @param {boolean} [options.dedupe] Share one in-flight computation between concurrent calls with the same key.
+ * @param {boolean|Object} [options.lock] Cross-process lock on cache miss: `{ ttl, timeout, interval }` in milliseconds.
+ * @param {number} [options.staleTtl] How long in milliseconds an expired value is still served while it is refreshed in background.
+ * @param {number} [options.staleIfError] How long in milliseconds an expired value is still returned when recomputing it throws.
+ * @param {boolean|number} [options.earlyRefresh] Probabilistic early refresh (XFetch), a number sets `beta` (default 1).
+ * @param {boolean|Object} [options.refreshAhead] Refresh recently hit entries in background before they expire: `{ threshold, interval, max }`.
+ * @param {string[]|Function} [options.tags] Tags of each entry, or `(result, ...args) => string[]`.
+ * @param {boolean|Object} [options.local] In-memory LRU in front of Redis: `{ max, ttl }`.
+ * @param {number} [options.operationTimeout] Cache reads and writes taking longer in milliseconds count as failures.
+ * @param {boolean|Object} [options.circuitBreaker] Skip Redis after consecutive read/write failures: `{ threshold, cooldown }`.
+ * @param {Function} [options.onError] Called with `(error, { operation, key })` for errors that are not thrown to the caller.
+ * @param {Object} [options.subscriber] Dedicated Redis connection used to receive local cache invalidations.
+ * @param {boolean|Object} [options.stats] Also add the counters of all instances in a Redis hash: `{ key, interval }`.
+ * @param {boolean} [options.autoBatch] Send the default getter/setter reads of one tick in one MGET and writes in one pipeline.
+ * @returns {(fn: Function, fnOptions?: Object|number) => Function} Memoized function factory with `.events` and `.batch/.invalidateTags/.bumpVersion/.clearPrefix/.stats/.stop`.
  */
 export default function Memoize (options = {}) {
   assert(typeof options === 'object' && options !== null, '`options` must be object!')
 
+  // cacheKey -> pending promise, shared by all functions of this memoizer
+  const inflight = new Map()
+  // cacheKeys being refreshed in background
+  const refreshing = new Set()
+  const tagPrefix = (options.prefix || '') + 'tag:'
+  // Clients holding the tag sets of tagged functions
+  const tagClients = new Set()
+  // Local caches of all functions, kept in sync through pub/sub
+  const localCaches = new Set()
+  const subscriber = options.subscriber
+  const channel = (options.prefix || '') + 'invalidate'
+  const instanceId = randomUUID()
+  // Generation key -> { pending, expiresAt }, the counters read from Redis
+  const generations = new Map()
+  const rootGenerationKey = (options.prefix || '') + 'generation'
+  // hit, miss, set, skip, clear and error events of all functions
+  const events = new EventEmitter()
+  // Counters of all functions, and deltas not yet added to the stats hash
+  const counters = new Set()
+  const stats = options.stats ? Object.assign({ key: (options.prefix || '') + 'stats', interval: 5000 }, options.stats === true ? {} : options.stats) : null
+  let unflushed = new Map()
+  let flushTimer = null
+  // Circuit breaker state of each client: consecutive failures and when it closes again
+  const breakers = new WeakMap()
+  // Per-tick batchers of each client, shared by all functions
+  const batchers = new WeakMap()
+  // Stop functions of the refresh-ahead schedulers
+  const schedulers = new Set()
+
+  if (subscriber) {
+    assert(typeof subscriber.subscribe === 'function' && typeof subscriber.on === 'function', '`subscriber` must be a redis-like client with subscribe/on methods')
+    assert(!options.client || typeof options.client.publish === 'function', '`client` must implement publish when `subscriber` is set')
+    listen()
+  }
+  if (stats) {
+    assert(typeof stats.key === 'string' && stats.key.length > 0, '`stats.key` must be a non-empty string')
+    assert(Number.isFinite(stats.interval) && stats.interval > 0, '`stats.interval` must be a positive number of milliseconds')
+    assert(options.client && typeof options.client.hincrby === 'function' && typeof options.client.hgetall === 'function', '`client` must implement hincrby and hgetall when `stats` is enabled')
+  }
+
   /**
    * Wrap a function with Redis-backed caching.
    *
@@ -21,12 +92,35 @@ export default function Memoize (options = {}) {
    * @param {Object} [fnOptions.client] Redis client override.
    * @param {string} [fnOptions.prefix] Key prefix override.
    * @param {string|Function} [fnOptions.key] Key or key generator override.
-   * @param {number} [fnOptions.ttl] TTL in milliseconds for this function.
+   * @param {number|Function} [fnOptions.ttl] TTL in milliseconds for this function, or `(result, ...args) => ms`.
+   * @param {Function} [fnOptions.shouldCache] Predicate deciding whether a result is stored.
+   * @param {boolean} [fnOptions.sliding] Sliding expiration for this function.
+   * @param {number} [fnOptions.maxAge] Maximum lifetime of sliding entries.
+   * @param {boolean|number} [fnOptions.cacheUndefined] Negative caching of `undefined` results.
+   * @param {boolean|Object} [fnOptions.cacheErrors] Negative caching of errors.
+   * @param {boolean|Object} [fnOptions.keyArgs] Argument-aware string key for this function.
+   * @param {boolean|Function} [fnOptions.hashTag] Hash tag of this function's keys.
+   * @param {string} [fnOptions.storage] Storage layout of this function's entries.
+   * @param {string|number} [fnOptions.version] Version of this function's keys.
+   * @param {boolean|Object} [fnOptions.generation] Generation counters for this function.
+   * @param {string|Object} [fnOptions.codec] Codec override.
+   * @param {boolean|Object} [fnOptions.compress] Compression override.
    * @param {Function} [fnOptions.get] Custom getter for this function.
    * @param {Function} [fnOptions.set] Custom setter for this function.
-   * @returns {Function} Memoized function with `.raw/.get/.set/.clear` helpers.
+   * @param {boolean} [fnOptions.dedupe] Coalesce concurrent calls with the same key.
+   * @param {boolean|Object} [fnOptions.lock] Redis lock options for this function.
+   * @param {number} [fnOptions.staleTtl] Stale-while-revalidate window in milliseconds.
+   * @param {number} [fnOptions.staleIfError] Stale-if-error window in milliseconds.
+   * @param {boolean|number} [fnOptions.earlyRefresh] XFetch early refresh for this function.
+   * @param {boolean|Object} [fnOptions.refreshAhead] Refresh-ahead options for this function.
+   * @param {string[]|Function} [fnOptions.tags] Tags of each entry for this function.
+   * @param {boolean|Object} [fnOptions.local] In-memory LRU options for this function.
+   * @param {number} [fnOptions.operationTimeout] Timeout of cache reads and writes for this function.
+   * @param {boolean|Object} [fnOptions.circuitBreaker] Circuit breaker options for this function.
+   * @param {Function} [fnOptions.onError] Error reporter for this function.
+   * @returns {Function} Memoized function with `.raw/.get/.set/.clear/.clearAll/.bumpVersion/.warm/.stats/.stop` helpers.
    */
-  return function memoize (fn, fnOptions = {}) {
+  function memoize (fn, fnOptions = {}) {
     if (typeof fnOptions !== 'object') {
       fnOptions = { ttl: fnOptions }
     }
@@ -35,25 +129,200 @@ export default function Memoize (options = {}) {
     const redis = opts.client
     const prefix = opts.prefix || ''
     const ttl = opts.ttl
+    const shouldCache = opts.shouldCache
+    const cacheUndefined = opts.cacheUndefined === true ? ttl : (opts.cacheUndefined || 0)
+    const cacheErrors = opts.cacheErrors ? Object.assign({ ttl }, opts.cacheErrors === true ? {} : opts.cacheErrors) : null
     const keyGenerator = opts.key || fn.name
-    const getter = typeof opts.get === 'function' ? opts.get : defaultGet
-    const setter = typeof opts.set === 'function' ? opts.set : defaultSet
+    // Hash fields are always the arguments, or the key function result
+    const hashed = opts.storage === 'hash'
+    const keyArgs = opts.keyArgs || hashed ? Object.assign({ maxLength: 128 }, opts.keyArgs === true ? {} : opts.keyArgs) : null
+    const version = opts.version
+    const fixedNamespace = prefix + (version === undefined ? '' : 'v' + version + ':')
+    const generation = opts.generation ? Object.assign({ ttl: 1000 }, opts.generation === true ? {} : opts.generation) : null
+    // Functions without a fixed name only follow the memoizer generation
+    const name = typeof keyGenerator === 'string' ? keyGenerator : fn.name
+    const generationKey = name ? prefix + 'generation:' + name : null
+    const hashTag = opts.hashTag
+    // With `hashTag: true` all entries of this function share the slot of its name
+    const tagged = hashTag === true ? '{' + name + '}' : null
+    const base = tagged || name
+    const codec = typeof opts.codec === 'string' ? CODECS[opts.codec] : (opts.codec || CODECS.json)
+    const compress = opts.compress ? Object.assign({ threshold: 1024, algorithm: 'gzip' }, opts.compress === true ? {} : opts.compress) : null
+    const sliding = opts.sliding === true
+    const maxAge = opts.maxAge || 0
+    // GETEX can't be batched, sliding reads are sent on their own
+    const autoBatch = opts.autoBatch === true
+    let getter = opts.get
+    let setter = opts.set
+    if (hashed) {
+      getter = (redis, cacheKey) => hashGet(redis, ...locate(cacheKey), codec, compress, err => report(err, { operation: 'get', key: cacheKey }))
+      setter = (redis, cacheKey, result, ms) => hashSet(redis, ...locate(cacheKey), result, ms, codec, compress, err => report(err, { operation: 'set', key: cacheKey }))
+    }
+    if (typeof getter !== 'function') {
+      getter = (redis, cacheKey) => defaultGet(autoBatch && !sliding ? batcherFor(redis) : redis, cacheKey, codec, compress, sliding ? ttl : 0, err => report(err, { operation: 'get', key: cacheKey }))
+    }
+    if (typeof setter !== 'function') {
+      setter = (redis, cacheKey, result, ms) => defaultSet(autoBatch ? batcherFor(redis) : redis, cacheKey, result, ms, codec, compress, err => report(err, { operation: 'set', key: cacheKey }))
+    }
+    const dedupe = opts.dedupe === true
+    const lock = opts.lock ? Object.assign({ ttl: 5000, interval: 50 }, opts.lock === true ? {} : opts.lock) : null
+    const staleTtl = opts.staleTtl || 0
+    const staleIfError = opts.staleIfError || 0
+    const beta = opts.earlyRefresh === true ? 1 : (opts.earlyRefresh || 0)
+    // The default threshold leaves half of a short `ttl` before refreshing
+    const refreshAhead = opts.refreshAhead ? Object.assign({ threshold: typeof ttl === 'number' ? Math.min(2000, ttl / 2) : 2000, interval: 1000, max: 1000 }, opts.refreshAhead === true ? {} : opts.refreshAhead) : null
+    const tags = opts.tags
+    const local = opts.local ? Object.assign({ max: 1000, ttl: typeof ttl === 'function' ? undefined : ttl }, opts.local === true ? {} : opts.local) : null
+    const onError = opts.onError || noop
+    const operationTimeout = opts.operationTimeout || 0
+    const circuitBreaker = opts.circuitBreaker ? Object.assign({ threshold: 5, cooldown: 10000 }, opts.circuitBreaker === true ? {} : opts.circuitBreaker) : null
+    // With a failure policy, errors of custom getters/setters are handled too
+    const failurePolicy = operationTimeout > 0 || Boolean(circuitBreaker)
+    // Values are wrapped in an entry carrying their logical expiry and
+    // compute duration, Redis keeps them until the longest stale window has passed.
+    // The local tier needs the expiry too, unless sliding reads reset it to `ttl`.
+    const envelope = staleTtl > 0 || staleIfError > 0 || beta > 0 || maxAge > 0 || Boolean(refreshAhead) || (Boolean(local) && !sliding)
+    const staleWindow = Math.max(staleTtl, staleIfError)
 
     assert(redis && typeof redis.get === 'function' && typeof redis.set === 'function' && typeof redis.del === 'function', '`client` must be a redis-like client with get/set/del methods')
     assert(typeof prefix === 'string', '`prefix` must be a string')
+    assert(codec && typeof codec.encode === 'function' && typeof codec.decode === 'function', '`codec` must be \'json\', \'typed\' or an object with encode/decode methods')
+    if (autoBatch) {
+      assert(typeof redis.mget === 'function' && typeof redis.pipeline === 'function', '`client` must implement mget and pipeline when `autoBatch` is enabled')
+      assert(!compress || typeof redis.mgetBuffer === 'function', '`client` must implement mgetBuffer when `autoBatch` and `compress` are enabled')
+    }
+    if (compress) {
+      assert(Number.isInteger(compress.threshold) && compress.threshold >= 0, '`compress.threshold` must be a non-negative integer')
+      assert(['gzip', 'brotli'].includes(compress.algorithm), '`compress.algorithm` must be \'gzip\' or \'brotli\'')
+      assert(typeof opts.get === 'function' || hashed || typeof redis.getBuffer === 'function', '`client` must implement getBuffer when `compress` is enabled')
+    }
     assert(keyGenerator && ((typeof keyGenerator === 'string') || (typeof keyGenerator === 'function')), '`key` must be string or function!')
-    assert(Number.isFinite(ttl) && ttl > 0, '`ttl` must be a positive number of milliseconds')
+    assert(typeof ttl === 'function' || (Number.isFinite(ttl) && ttl > 0), '`ttl` must be a positive number of milliseconds')
+    assert(shouldCache === undefined || typeof shouldCache === 'function', '`shouldCache` must be a function')
+    assert(cacheUndefined === 0 || (Number.isFinite(cacheUndefined) && cacheUndefined > 0), '`cacheUndefined` must be a boolean or a positive number of milliseconds')
+    if (cacheErrors) {
+      assert(Number.isFinite(cacheErrors.ttl) && cacheErrors.ttl > 0, '`cacheErrors.ttl` must be a positive number of milliseconds')
+      assert(cacheErrors.filter === undefined || typeof cacheErrors.filter === 'function', '`cacheErrors.filter` must be a function')
+    }
+    if (keyArgs) {
+      assert(Number.isInteger(keyArgs.maxLength) && keyArgs.maxLength > 0, '`keyArgs.maxLength` must be a positive integer')
+    }
+    assert(version === undefined || typeof version === 'string' || Number.isFinite(version), '`version` must be a string or a number')
+    assert(hashTag === undefined || typeof hashTag === 'boolean' || typeof hashTag === 'function', '`hashTag` must be a boolean or a function')
+    assert(hashTag !== true || name, '`hashTag` requires a string key or a named function')
+    assert(opts.storage === undefined || opts.storage === 'key' || hashed, '`storage` must be \'key\' or \'hash\'')
+    if (hashed) {
+      assert(name, '`storage: \'hash\'` requires a string key or a named function')
+      assert(typeof opts.get !== 'function' && typeof opts.set !== 'function', '`storage: \'hash\'` cannot be combined with custom `get`/`set`')
+      assert(!sliding && !tags && typeof hashTag !== 'function', '`storage: \'hash\'` cannot be combined with `sliding`, `tags` or a `hashTag` function')
+      assert(typeof redis.hget === 'function' && typeof redis.hdel === 'function' && typeof redis.hlen === 'function' && typeof redis.eval === 'function', '`client` must implement hget, hdel, hlen and eval when `storage` is \'hash\'')
+      assert(!compress || typeof redis.hgetBuffer === 'function', '`client` must implement hgetBuffer when `storage` is \'hash\' and `compress` is enabled')
+    }
+    if (generation) {
+      assert(Number.isFinite(generation.ttl) && generation.ttl >= 0, '`generation.ttl` must be a non-negative number of milliseconds')
+    }
+    if (lock) {
+      if (lock.timeout === undefined) lock.timeout = lock.ttl
+      assert(typeof redis.eval === 'function', '`client` must implement eval when `lock` is enabled')
+      assert(Number.isFinite(lock.ttl) && lock.ttl > 0, '`lock.ttl` must be a positive number of milliseconds')
+      assert(Number.isFinite(lock.timeout) && lock.timeout >= 0, '`lock.timeout` must be a non-negative number of milliseconds')
+      assert(Number.isFinite(lock.interval) && lock.interval > 0, '`lock.interval` must be a positive number of milliseconds')
+    }
+    assert(Number.isFinite(staleTtl) && staleTtl >= 0, '`staleTtl` must be a non-negative number of milliseconds')
+    assert(Number.isFinite(staleIfError) && staleIfError >= 0, '`staleIfError` must be a non-negative number of milliseconds')
+    assert(Number.isFinite(beta) && beta >= 0, '`earlyRefresh` must be a boolean or a non-negative number')
+    assert(Number.isFinite(maxAge) && maxAge >= 0, '`maxAge` must be a positive number of milliseconds')
+    if (sliding) {
+      assert(typeof ttl === 'number', '`ttl` must be a number when `sliding` is enabled')
+      assert(!staleTtl && !staleIfError && !beta, '`sliding` cannot be combined with `staleTtl`, `staleIfError` or `earlyRefresh`')
+      // Sliding reads would reset the shorter TTL of negative entries to `ttl`
+      assert(!cacheUndefined && !cacheErrors, '`sliding` cannot be combined with `cacheUndefined` or `cacheErrors`')
+      assert(!tags || maxAge, '`maxAge` is required when `sliding` is combined with `tags`')
+      if (typeof opts.get === 'function') {
+        assert(typeof redis.pexpire === 'function', '`client` must implement pexpire when `sliding` is enabled')
+      } else {
+        assert(typeof redis[compress ? 'getexBuffer' : 'getex'] === 'function', `\`client\` must implement ${compress ? 'getexBuffer' : 'getex'} when \`sliding\` is enabled`)
+      }
+    } else {
+      assert(!maxAge, '`maxAge` requires `sliding`')
+    }
+    if (refreshAhead) {
+      assert(Number.isFinite(refreshAhead.threshold) && refreshAhead.threshold > 0, '`refreshAhead.threshold` must be a positive number of milliseconds')
+      assert(typeof ttl !== 'number' || refreshAhead.threshold < ttl, '`refreshAhead.threshold` must be lower than `ttl`')
+      assert(Number.isFinite(refreshAhead.interval) && refreshAhead.interval > 0, '`refreshAhead.interval` must be a positive number of milliseconds')
+      assert(Number.isInteger(refreshAhead.max) && refreshAhead.max > 0, '`refreshAhead.max` must be a positive integer')
+      assert(!sliding, '`refreshAhead` cannot be combined with `sliding`')
+    }
+    if (tags) {
+      assert(Array.isArray(tags) || typeof tags === 'function', '`tags` must be an array of strings or a function')
+      assert(typeof redis.eval === 'function', '`client` must implement eval when `tags` is enabled')
+      tagClients.add(redis)
+    }
+    if (local) {
+      assert(Number.isInteger(local.max) && local.max > 0, '`local.max` must be a positive integer')
+      assert(Number.isFinite(local.ttl) && local.ttl > 0, '`local.ttl` must be a positive number of milliseconds')
+      // Never keep a value locally longer than in Redis
+      if (typeof ttl === 'number') {
+        local.ttl = Math.min(local.ttl, ttl)
+      }
+    }
+    const localCache = local ? createLru(local.max) : null
+    // cacheKey -> { ctx, args, expiresAt, hits } of entries hit recently
+    const hotKeys = new Map()
+    let refreshTimer = null
+    if (refreshAhead) {
+      schedulers.add(stop)
+    }
+    const { report, emit, tally, stats: fnStats, fleetStats, resetStats } = createTracker(name, codec, onError)
+    if (localCache) {
+      localCaches.add(localCache)
+    }
+    if (subscriber) {
+      assert(typeof redis.publish === 'function', '`client` must implement publish when `subscriber` is set')
+    }
+    assert(typeof onError === 'function', '`onError` must be a function')
+    assert(Number.isFinite(operationTimeout) && operationTimeout >= 0, '`operationTimeout` must be a non-negative number of milliseconds')
+    const breaker = circuitBreaker ? breakerFor(redis, circuitBreaker) : null
 
     async function computeKey (args) {
+      let _key
       if (typeof keyGenerator === 'string') {
-        return prefix + keyGenerator
+        _key = keyArgs ? base + ':' + argsKey(args, keyArgs.maxLength) : base
+      } else {
+        _key = await keyGenerator.apply(fn, args)
+        if (_key === false) {
+          return false
+        }
+        assert(typeof _key === 'string', '`key` function must return a string or false')
+        if (tagged || hashed) {
+          _key = base + ':' + _key
+        }
       }
-      const _key = await keyGenerator.apply(fn, args)
-      if (_key === false) {
+      if (typeof hashTag === 'function') {
+        const tag = await hashTag.apply(fn, args)
+        assert(typeof tag === 'string' && tag.length > 0, '`hashTag` function must return a non-empty string')
+        _key = '{' + tag + '}:' + _key
+      }
+      const namespace = await computeNamespace()
+      return namespace === false ? false : namespace + _key
+    }
+
+    // Prefix, version and generations; the cache is bypassed when the
+    // generations can't be read, an older one could serve dropped entries.
+    async function computeNamespace () {
+      const namespace = fixedNamespace
+      if (!generation) {
+        return namespace
+      }
+      if (isOpen()) {
+        return false
+      }
+      try {
+        return namespace + await readGenerations(redis, generationKey, generation.ttl, operationTimeout)
+      } catch (err) {
+        report(err, { operation: 'generation', key: namespace })
         return false
       }
-      assert(typeof _key === 'string', '`key` function must return a string or false')
-      return prefix + _key
     }
 
     async function raw (...args) {
@@ -64,22 +333,365 @@ export default function Memoize (options = {}) {
       const cacheKey = await computeKey(args)
 
       if (cacheKey === false) {
+        emit('skip', { reason: 'key' })
         return fn.apply(this, args)
       }
 
-      let result = await getter(redis, cacheKey)
+      if (!dedupe) {
+        return lookup(this, args, cacheKey)
+      }
+
+      // Concurrent callers share the first caller's promise (and its `this`),
+      // a rejection is delivered to all of them and nothing is cached.
+      let pending = inflight.get(cacheKey)
+      if (!pending) {
+        pending = lookup(this, args, cacheKey).finally(() => {
+          inflight.delete(cacheKey)
+        })
+        inflight.set(cacheKey, pending)
+      }
+      return pending
+    }
+
+    async function lookup (ctx, args, cacheKey) {
+      const start = Date.now()
+      const entry = await load(cacheKey)
+      const now = Date.now()
+
+      if (entry && entry.expiresAt > now) {
+        emit('hit', entry.local ? { key: cacheKey, latency: now - start, local: true } : { key: cacheKey, latency: now - start }, entry.value)
+        trackHit(ctx, args, cacheKey, entry)
+        // XFetch: the closer to expiry and the slower fn is, the more likely
+        // a background refresh starts before the entry expires.
+        if (beta && entry.delta && now - entry.delta * beta * Math.log(Math.random()) >= entry.expiresAt) {
+          revalidate(ctx, args, cacheKey)
+        }
+        return unwrap(entry)
+      }
+
+      if (entry && staleTtl && entry.expiresAt + staleTtl > now) {
+        emit('hit', { key: cacheKey, latency: now - start, stale: true }, entry.value)
+        trackHit(ctx, args, cacheKey, entry)
+        revalidate(ctx, args, cacheKey)
+        return unwrap(entry)
+      }
+
+      emit('miss', { key: cacheKey, latency: now - start })
+
+      // Errors are not cached when a stale value can be returned instead
+      const canServeStale = Boolean(entry) && !entry.error && entry.expiresAt + staleIfError > now
+
+      try {
+        return lock && !isOpen() ? await computeWithLock(ctx, args, cacheKey, !canServeStale) : await compute(ctx, args, cacheKey, !canServeStale)
+      } catch (err) {
+        if (!canServeStale) {
+          throw err
+        }
+        report(err, { operation: 'staleIfError', key: cacheKey })
+        return entry.value
+      }
+    }
+
+    async function compute (ctx, args, cacheKey, negative = false) {
+      const start = Date.now()
+      let result
+      try {
+        result = await fn.apply(ctx, args)
+      } catch (err) {
+        if (negative && cacheErrors) {
+          await storeError(cacheKey, err, args)
+        }
+        throw err
+      }
+
+      const delta = Date.now() - start
+      tally('computes', 1)
+      tally('computeTime', delta)
+      await store(cacheKey, result, args, delta)
+
+      return result
+    }
+
+    // The lock holder computes the value, the others poll for it until
+    // `lock.timeout` and then compute it themselves.
+    async function computeWithLock (ctx, args, cacheKey, negative) {
+      const lockKey = cacheKey + ':lock'
+      const token = randomUUID()
+      const deadline = Date.now() + lock.timeout
+
+      while (true) {
+        if (await takeLock(lockKey, token)) {
+          try {
+            return await compute(ctx, args, cacheKey, negative)
+          } finally {
+            await guard('lock', lockKey, () => releaseLock(redis, lockKey, token))
+          }
+        }
+
+        if (Date.now() >= deadline) {
+          return compute(ctx, args, cacheKey, negative)
+        }
+
+        await sleep(Math.min(lock.interval, deadline - Date.now()))
+
+        const entry = await load(cacheKey)
+        if (entry && entry.expiresAt > Date.now()) {
+          return unwrap(entry)
+        }
+      }
+    }
+
+    // Refresh a stale entry in background, at most once per key in this
+    // process and, with `lock`, once across processes.
+    function revalidate (ctx, args, cacheKey) {
+      if (refreshing.has(cacheKey)) {
+        return
+      }
+      refreshing.add(cacheKey)
+
+      refresh(ctx, args, cacheKey)
+        .catch(err => report(err, { operation: 'refresh', key: cacheKey }))
+        .finally(() => refreshing.delete(cacheKey))
+    }
+
+    async function refresh (ctx, args, cacheKey) {
+      if (!lock) {
+        return compute(ctx, args, cacheKey)
+      }
+
+      const lockKey = cacheKey + ':lock'
+      const token = randomUUID()
+      if (!(await takeLock(lockKey, token))) {
+        return
+      }
+      try {
+        await compute(ctx, args, cacheKey)
+      } finally {
+        await guard('lock', lockKey, () => releaseLock(redis, lockKey, token))
+      }
+    }
+
+    // When the lock can't be taken in time, or the circuit is open, fn is
+    // called without it rather than wait for nothing
+    async function takeLock (lockKey, token) {
+      return (await guard('lock', lockKey, () => acquireLock(redis, lockKey, token, lock.ttl))) !== false
+    }
+
+    // Read the stored entry from the local tier, marked `local`, or Redis;
+    // without envelope the value never expires logically.
+    async function load (cacheKey) {
+      const hit = localCache && localCache.get(cacheKey)
+      if (hit) {
+        return Object.assign({}, hit, { local: true })
+      }
+
+      const cached = await guard('get', cacheKey, () => getter(redis, cacheKey))
+      if (sliding && cached !== undefined && typeof opts.get === 'function') {
+        await touch(cacheKey)
+      }
+
+      let entry
+      if (!envelope) {
+        entry = cached === undefined ? undefined : { value: cached, expiresAt: Infinity }
+      } else {
+        entry = isEntry(cached) ? cached : undefined
+      }
+
+      if (entry) {
+        entry = revive(entry)
+        remember(cacheKey, entry)
+      }
+
+      return entry
+    }
+
+    async function store (cacheKey, value, args, delta = 0) {
+      // A shouldCache veto applies to `undefined` results too
+      if (shouldCache && !(await shouldCache.apply(fn, [value, ...args]))) {
+        emit('skip', { key: cacheKey, reason: 'shouldCache' })
+        return
+      }
+
+      if (value === undefined && cacheUndefined) {
+        return storeNegative(cacheKey, { $memoize: 'undefined' }, cacheUndefined)
+      }
+
+      if (envelope && value === undefined) {
+        return
+      }
+
+      const ms = typeof ttl === 'function' ? await ttl.apply(fn, [value, ...args]) : ttl
+      assert(Number.isFinite(ms) && ms > 0, '`ttl` function must return a positive number of milliseconds')
+
+      // Sliding entries logically expire after `maxAge`, and Redis drops them
+      // after `ttl` without reads
+      const entry = envelope ? { value, expiresAt: Date.now() + (sliding ? maxAge : ms), delta } : { value, expiresAt: Infinity }
+      const storeMs = sliding ? Math.min(ms, maxAge || Infinity) : ms + staleWindow
+      const start = Date.now()
+      const result = envelope
+        ? await guard('set', cacheKey, () => setter(redis, cacheKey, entry, storeMs))
+        : await guard('set', cacheKey, () => setter(redis, cacheKey, value, ms))
+      emit('set', { key: cacheKey, ttl: ms, latency: Date.now() - start }, value)
+
+      // Only hits of the new entry keep it hot
+      const tracked = hotKeys.get(cacheKey)
+      if (tracked) {
+        tracked.expiresAt = entry.expiresAt
+        tracked.hits = 0
+      }
+
+      if (value !== undefined) {
+        remember(cacheKey, entry, ms)
+        if (tags && !isOpen()) {
+          await tag(cacheKey, value, args, sliding ? maxAge : storeMs)
+        }
+      }
+
+      return result
+    }
 
-      if (result !== undefined) {
+    // Run a cache read or write, lock or tag command with `operationTimeout`.
+    // Failures of the default getter/setter, or of any with a failure policy,
+    // are reported and count as misses; an open circuit skips Redis.
+    async function guard (operation, cacheKey, task) {
+      if (isOpen()) {
+        return
+      }
+      try {
+        const result = await (operationTimeout ? withTimeout(task(), operationTimeout) : task())
+        if (breaker) {
+          breaker.failures = 0
+        }
         return result
+      } catch (err) {
+        if (!failurePolicy && typeof opts[operation] === 'function') {
+          throw err
+        }
+        // Once open, a single failure after the cooldown opens it again
+        if (breaker && ++breaker.failures >= circuitBreaker.threshold) {
+          breaker.openUntil = Date.now() + circuitBreaker.cooldown
+        }
+        report(err, { operation, key: cacheKey })
+      }
+    }
+
+    // Split the cacheKey `<namespace><name>:<field>` of hash storage into the
+    // hash of the function and the field of the entry
+    function locate (cacheKey) {
+      const start = generation ? cacheKey.indexOf(':', fixedNamespace.length) + 1 : fixedNamespace.length
+      const end = start + base.length
+      return [cacheKey.slice(0, end), cacheKey.slice(end + 1)]
+    }
+
+    // Remember the arguments of a hit entry so the scheduler can refresh it
+    function trackHit (ctx, args, cacheKey, entry) {
+      if (!refreshAhead || entry.error) {
+        return
+      }
+      // Map keeps insertion order, the first key is the least recently hit
+      const tracked = hotKeys.get(cacheKey)
+      if (tracked) {
+        tracked.hits++
+        tracked.expiresAt = Math.max(tracked.expiresAt, entry.expiresAt)
+        hotKeys.delete(cacheKey)
+        hotKeys.set(cacheKey, tracked)
+        return
+      }
+      hotKeys.set(cacheKey, { ctx, args, expiresAt: entry.expiresAt, hits: 1 })
+      if (hotKeys.size > refreshAhead.max) {
+        hotKeys.delete(hotKeys.keys().next().value)
+      }
+      if (!refreshTimer) {
+        refreshTimer = setInterval(refreshHotKeys, refreshAhead.interval)
+        refreshTimer.unref()
+      }
+    }
+
+    // Refresh the entries expiring within `threshold` that were hit since
+    // they were written, and forget the others: they went cold.
+    function refreshHotKeys () {
+      const now = Date.now()
+      for (const [cacheKey, tracked] of hotKeys) {
+        if (tracked.expiresAt - now > refreshAhead.threshold) {
+          continue
+        }
+        if (tracked.hits === 0) {
+          hotKeys.delete(cacheKey)
+          continue
+        }
+        tracked.hits = 0
+        revalidate(tracked.ctx, tracked.args, cacheKey)
+      }
+      if (hotKeys.size === 0) {
+        stop()
       }
+    }
+
+    // Forget the tracked keys and clear the scheduler timer
+    function stop () {
+      clearInterval(refreshTimer)
+      refreshTimer = null
+      hotKeys.clear()
+    }
+
+    function isOpen () {
+      return Boolean(breaker) && breaker.openUntil > Date.now()
+    }
 
-      result = await fn.apply(this, args)
+    // Reset the expiry after a hit from a custom getter
+    async function touch (cacheKey) {
+      try {
+        await redis.pexpire(cacheKey, ttl)
+      } catch (err) {
+        report(err, { operation: 'touch', key: cacheKey })
+      }
+    }
 
-      await setter(redis, cacheKey, result, ttl)
+    async function storeError (cacheKey, err, args) {
+      try {
+        if (cacheErrors.filter && !(await cacheErrors.filter.apply(fn, [err, ...args]))) {
+          return
+        }
+        await storeNegative(cacheKey, toErrorSentinel(err), cacheErrors.ttl)
+      } catch (e) {
+        report(e, { operation: 'cacheErrors', key: cacheKey })
+      }
+    }
 
+    // Negative entries expire from Redis with their logical expiry, they are
+    // never served stale nor tagged.
+    async function storeNegative (cacheKey, sentinel, ms) {
+      const entry = { value: sentinel, expiresAt: Date.now() + ms, delta: 0 }
+      const start = Date.now()
+      const result = await guard('set', cacheKey, () => setter(redis, cacheKey, envelope ? entry : sentinel, ms))
+      emit('set', { key: cacheKey, ttl: ms, latency: Date.now() - start }, sentinel)
+      remember(cacheKey, revive(entry), ms)
       return result
     }
 
+    // Keep the entry in the local tier, never past its logical expiry nor
+    // its Redis TTL when known
+    function remember (cacheKey, entry, ms = Infinity) {
+      if (!localCache) {
+        return
+      }
+      const now = Date.now()
+      const expiresAt = Math.min(now + local.ttl, now + ms, entry.expiresAt)
+      if (expiresAt > now) {
+        localCache.set(cacheKey, entry, expiresAt)
+      }
+    }
+
+    // Add cacheKey to the sorted set of each tag, scored by its expiry
+    async function tag (cacheKey, value, args, ms) {
+      const list = typeof tags === 'function' ? await tags.apply(fn, [value, ...args]) : tags
+      assert(Array.isArray(list) && list.every(t => typeof t === 'string'), '`tags` function must return an array of strings')
+
+      const now = Date.now()
+      const expireAt = now + ms
+      await guard('tag', cacheKey, () => Promise.all(list.map(t => redis.eval(ADD_TAG_SCRIPT, 1, tagPrefix + t, cacheKey, expireAt, now))))
+    }
+
     async function get (...args) {
       const cacheKey = await computeKey(args)
 
@@ -87,7 +699,14 @@ export default function Memoize (options = {}) {
         return
       }
 
-      return getter(redis, cacheKey)
+      // Like `cache()`, values past their logical expiry are misses even
+      // while Redis keeps them for a stale window
+      const entry = await load(cacheKey)
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return
+      }
+
+      return entry.value
     }
 
     async function set (...argsAndValue) {
@@ -100,7 +719,9 @@ export default function Memoize (options = {}) {
         return
       }
 
-      return setter(redis, cacheKey, value, ttl)
+      const result = await store(cacheKey, value, args)
+      await publish(cacheKey)
+      return result
     }
 
     async function clear (...args) {
@@ -110,53 +731,1375 @@ export default function Memoize (options = {}) {
         return
       }
 
-      return redis.del(cacheKey)
+      if (localCache) {
+        localCache.delete(cacheKey)
+      }
+
+      const start = Date.now()
+      const result = await (hashed ? redis.hdel(...locate(cacheKey)) : redis.del(cacheKey))
+      emit('clear', { key: cacheKey, latency: Date.now() - start, count: Number(result) })
+      await publish(cacheKey)
+      return result
+    }
+
+    // Delete the entry without arguments, its `:lock` and every argument
+    // entry `<key>:[...]` (or its sha256) of the current namespace with their
+    // locks, only string keys have a known pattern.
+    async function clearAll (clearOptions = {}) {
+      if (hashed) {
+        return clearHash(clearOptions)
+      }
+      assert(typeof keyGenerator === 'string', '`key` must be a string to clear all entries')
+      assert(typeof hashTag !== 'function', '`hashTag` must not be a function to clear all entries')
+      const { count, dryRun } = scanOptions(clearOptions)
+      assert(typeof redis.scan === 'function' && typeof redis.unlink === 'function', '`client` must implement scan and unlink to clear entries')
+      assert(!dryRun || typeof redis.exists === 'function', '`client` must implement exists for a dry run')
+
+      const namespace = await computeNamespace()
+      if (namespace === false) {
+        return 0
+      }
+      if (localCache && !dryRun) {
+        localCache.clear()
+      }
+
+      const key = namespace + base
+      // `<key>:*` also matches functions keyed `<key>:<name>`, skip them
+      const own = new RegExp('^' + escapeRegExp(key) + ':(\\[|[0-9a-f]{64}(:lock)?$|lock$)')
+      const start = Date.now()
+      const [single, matched] = await Promise.all([
+        dryRun ? redis.exists(key) : redis.unlink(key),
+        scanDelete(redis, escapeGlob(key + ':') + '*', count, dryRun, name => own.test(name))
+      ])
+      if (!dryRun) {
+        emit('clear', { key: key + ':*', latency: Date.now() - start, count: single + matched })
+        await publish(key + ':*', { clear: true })
+      }
+      return single + matched
+    }
+
+    // Delete the hash of the current namespace, resolves to its field count
+    async function clearHash (clearOptions) {
+      const { dryRun } = scanOptions(clearOptions)
+      const namespace = await computeNamespace()
+      if (namespace === false) {
+        return 0
+      }
+      if (localCache && !dryRun) {
+        localCache.clear()
+      }
+
+      const hashKey = namespace + base
+      if (dryRun) {
+        return Number(await redis.hlen(hashKey))
+      }
+      const start = Date.now()
+      const count = Number(await redis.eval(CLEAR_HASH_SCRIPT, 1, hashKey))
+      emit('clear', { key: hashKey, latency: Date.now() - start, count })
+      await publish(hashKey, { clear: true })
+      return count
+    }
+
+    // Tell other instances to drop cacheKey from their local caches, or to
+    // wipe them with `{ clear: true }`
+    async function publish (cacheKey, message = { key: cacheKey }) {
+      if (!subscriber) {
+        return
+      }
+      try {
+        await redis.publish(channel, JSON.stringify(Object.assign({ source: instanceId }, message)))
+      } catch (err) {
+        report(err, { operation: 'publish', key: cacheKey })
+      }
+    }
+
+    // Make all entries of this function unreachable
+    async function bumpVersion () {
+      assert(generation, '`generation` must be enabled to bump the version')
+      assert(generationKey, '`key` must be a string or `fn` a named function to bump its version')
+      return incrementGeneration(redis, generationKey)
+    }
+
+    // Call fn for every argument list and store the results, at most
+    // `concurrency` at a time; failures are collected, not thrown.
+    async function warm (argsList, warmOptions = {}) {
+      assert(Array.isArray(argsList) && argsList.every(Array.isArray), '`argsList` must be an array of argument arrays')
+      assert(typeof warmOptions === 'object' && warmOptions !== null, '`options` must be object!')
+      const concurrency = warmOptions.concurrency === undefined ? 10 : warmOptions.concurrency
+      const force = warmOptions.force === true
+      const onProgress = warmOptions.onProgress || noop
+      assert(Number.isInteger(concurrency) && concurrency > 0, '`concurrency` must be a positive integer')
+      assert(typeof onProgress === 'function', '`onProgress` must be a function')
+
+      const progress = { total: argsList.length, done: 0, warmed: 0, skipped: 0, failed: 0 }
+      const failures = []
+      let next = 0
+      const worker = async () => {
+        while (next < argsList.length) {
+          const args = argsList[next++]
+          let error
+          try {
+            progress[(await warmEntry(args, force)) ? 'warmed' : 'skipped']++
+          } catch (err) {
+            error = err
+            progress.failed++
+            failures.push({ args, error })
+          }
+          progress.done++
+          onProgress(Object.assign({ args, error }, progress))
+        }
+      }
+
+      await Promise.all(Array.from({ length: Math.min(concurrency, argsList.length) }, worker))
+      return Object.assign(progress, { failures })
+    }
+
+    // Store the result of one call unless a live entry exists, resolves
+    // to whether fn was called
+    async function warmEntry (args, force) {
+      const cacheKey = await computeKey(args)
+      if (cacheKey === false) {
+        emit('skip', { reason: 'key' })
+        return false
+      }
+      if (!force) {
+        const entry = await load(cacheKey)
+        if (entry && entry.expiresAt > Date.now()) {
+          return false
+        }
+      }
+      await compute(undefined, args, cacheKey)
+      await publish(cacheKey)
+      return true
     }
 
     cache.raw = raw
     cache.get = get
     cache.set = set
     cache.clear = clear
+    cache.clearAll = clearAll
+    cache.bumpVersion = bumpVersion
+    cache.warm = warm
+    cache.stop = stop
+    cache.stats = fnStats
+    cache.fleetStats = fleetStats
+    cache.resetStats = resetStats
 
     return cache
   }
-}
 
-function assert (condition, message) {
-  if (!condition) throw new TypeError(message)
-}
+  /**
+   * Memoize a function loading many ids at once: cached results are read
+   * with one MGET, `fn` is only called with the missing ids and their
+   * results are written back in one pipeline.
+   *
+   * @param {Function} fn `(ids) => results` returning one result per id, in the same order.
+   * @param {Object|number} [fnOptions] Per-function options or numeric TTL in ms.
+   * @param {Object} [fnOptions.client] Redis client override, must implement mget/pipeline.
+   * @param {string} [fnOptions.prefix] Key prefix override.
+   * @param {string|Function} [fnOptions.key] Key of each id, a string is followed by `:<id>`, or `(id) => string`.
+   * @param {string|number} [fnOptions.version] Version of this function's keys.
+   * @param {boolean|Object} [fnOptions.generation] Generation counters, shared with memoized functions of the same key.
+   * @param {boolean|Function} [fnOptions.hashTag] Hash tag of keys: `true` for the string key, or `(id) => string`.
+   * @param {number|Function} [fnOptions.ttl] TTL in milliseconds, or `(result, id) => ms`.
+   * @param {string|Object} [fnOptions.codec] Codec override.
+   * @param {Function} [fnOptions.onError] Error reporter for this function.
+   * @param {number} [fnOptions.operationTimeout] Timeout of each MGET and pipeline in milliseconds.
+   * @param {boolean|Object} [fnOptions.circuitBreaker] Circuit breaker shared with the functions of the same client.
+   * @returns {Function} Batched function `(ids) => Promise<Array>` with `.raw/.stats` helpers.
+   */
+  function batch (fn, fnOptions = {}) {
+    if (typeof fnOptions !== 'object') {
+      fnOptions = { ttl: fnOptions }
+    }
+    const opts = Object.assign({}, options, fnOptions)
 
-/**
- * Default Redis getter: JSON.parse on value, null treated as cache miss.
- *
- * @param {Object} redis Redis-like client.
- * @param {string} cacheKey Fully-qualified cache key.
- * @returns {Promise<unknown|undefined>} Parsed value or undefined on miss/error.
- */
-async function defaultGet (redis, cacheKey) {
-  try {
-    const text = await redis.get(cacheKey)
-    // null -> treat as undefined (cache miss)
-    if (text === null) return
-    return JSON.parse(text)
-  } catch (_) {
-    // If stored value isn't valid JSON, treat as miss
+    const redis = opts.client
+    const prefix = opts.prefix || ''
+    const ttl = opts.ttl
+    const keyGenerator = opts.key || fn.name
+    const codec = typeof opts.codec === 'string' ? CODECS[opts.codec] : (opts.codec || CODECS.json)
+    const onError = opts.onError || noop
+    const name = typeof keyGenerator === 'string' ? keyGenerator : fn.name
+    const hashTag = opts.hashTag
+    // Same version and generation counters as memoized functions
+    const version = opts.version
+    const fixedNamespace = prefix + (version === undefined ? '' : 'v' + version + ':')
+    const generation = opts.generation ? Object.assign({ ttl: 1000 }, opts.generation === true ? {} : opts.generation) : null
+    const generationKey = name ? prefix + 'generation:' + name : null
+    const operationTimeout = opts.operationTimeout || 0
+    const circuitBreaker = opts.circuitBreaker ? Object.assign({ threshold: 5, cooldown: 10000 }, opts.circuitBreaker === true ? {} : opts.circuitBreaker) : null
+
+    assert(typeof fn === 'function', '`fn` must be a function')
+    assert(redis && typeof redis.mget === 'function' && typeof redis.pipeline === 'function', '`client` must implement mget and pipeline for batch functions')
+    assert(typeof prefix === 'string', '`prefix` must be a string')
+    assert(keyGenerator && ((typeof keyGenerator === 'string') || (typeof keyGenerator === 'function')), '`key` must be string or function!')
+    assert(typeof ttl === 'function' || (Number.isFinite(ttl) && ttl > 0), '`ttl` must be a positive number of milliseconds')
+    assert(codec && typeof codec.encode === 'function' && typeof codec.decode === 'function', '`codec` must be \'json\', \'typed\' or an object with encode/decode methods')
+    assert(typeof onError === 'function', '`onError` must be a function')
+    assert(hashTag === undefined || typeof hashTag === 'function' || hashTag === false || (hashTag === true && typeof keyGenerator === 'string'), '`hashTag` must be a function, or a boolean with a string key')
+    assert(version === undefined || typeof version === 'string' || Number.isFinite(version), '`version` must be a string or a number')
+    if (generation) {
+      assert(Number.isFinite(generation.ttl) && generation.ttl >= 0, '`generation.ttl` must be a non-negative number of milliseconds')
+      assert(typeof redis.get === 'function', '`client` must implement get when `generation` is enabled')
+    }
+    assert(Number.isFinite(operationTimeout) && operationTimeout >= 0, '`operationTimeout` must be a non-negative number of milliseconds')
+    const breaker = circuitBreaker ? breakerFor(redis, circuitBreaker) : null
+
+    const { report, emit, tally, stats: fnStats, fleetStats, resetStats } = createTracker(name, codec, onError)
+
+    async function computeKey (namespace, id) {
+      let _key
+      if (typeof keyGenerator === 'string') {
+        assert(typeof id === 'string' || Number.isFinite(id), '`ids` must be strings or numbers with a string `key`')
+        _key = (hashTag === true ? '{' + keyGenerator + '}' : keyGenerator) + ':' + id
+      } else {
+        _key = await keyGenerator.call(fn, id)
+        assert(typeof _key === 'string', '`key` function must return a string')
+      }
+      if (typeof hashTag === 'function') {
+        const tag = await hashTag.call(fn, id)
+        assert(typeof tag === 'string' && tag.length > 0, '`hashTag` function must return a non-empty string')
+        _key = '{' + tag + '}:' + _key
+      }
+      return namespace + _key
+    }
+
+    // Prefix, version and generations, false when the generations can't be read
+    async function computeNamespace () {
+      if (!generation) {
+        return fixedNamespace
+      }
+      if (isOpen()) {
+        return false
+      }
+      try {
+        return fixedNamespace + await readGenerations(redis, generationKey, generation.ttl, operationTimeout)
+      } catch (err) {
+        report(err, { operation: 'generation', key: fixedNamespace })
+        return false
+      }
+    }
+
+    // Run an MGET or a pipeline with `operationTimeout`, failures are
+    // reported and count toward the circuit breaker; an open circuit skips Redis.
+    async function guard (operation, key, task) {
+      if (isOpen()) {
+        return
+      }
+      try {
+        const result = await (operationTimeout ? withTimeout(task(), operationTimeout) : task())
+        if (breaker) {
+          breaker.failures = 0
+        }
+        return result
+      } catch (err) {
+        if (breaker && ++breaker.failures >= circuitBreaker.threshold) {
+          breaker.openUntil = Date.now() + circuitBreaker.cooldown
+        }
+        report(err, { operation, key })
+      }
+    }
+
+    function isOpen () {
+      return Boolean(breaker) && breaker.openUntil > Date.now()
+    }
+
+    async function raw (ids) {
+      return fn.call(this, ids)
+    }
+
+    async function batched (ids) {
+      assert(Array.isArray(ids), '`ids` must be an array')
+      const namespace = await computeNamespace()
+      if (namespace === false) {
+        return fn.call(this, ids)
+      }
+      const keys = await Promise.all(ids.map(id => computeKey(namespace, id)))
+      const found = await read(Array.from(new Set(keys)))
+
+      // First id of each missing key
+      const missing = new Map()
+      keys.forEach((key, i) => {
+        if (!found.has(key) && !missing.has(key)) {
+          missing.set(key, ids[i])
+        }
+      })
+
+      if (missing.size > 0) {
+        const missingIds = Array.from(missing.values())
+        const start = Date.now()
+        const results = await fn.call(this, missingIds)
+        assert(Array.isArray(results) && results.length === missingIds.length, '`fn` must return an array with one result per id')
+        tally('computes', 1)
+        tally('computeTime', Date.now() - start)
+
+        const missingKeys = Array.from(missing.keys())
+        missingKeys.forEach((key, i) => found.set(key, results[i]))
+        await write(missingKeys, missingIds, results)
+      }
+
+      return keys.map(key => found.get(key))
+    }
+
+    // Cached values by key, a failed MGET counts as misses for its keys
+    async function read (keys) {
+      const found = new Map()
+      await Promise.all(groupBySlot(redis, keys, key => key).map(async group => {
+        const start = Date.now()
+        const texts = (await guard('get', group[0], () => redis.mget(...group))) || []
+        const latency = Date.now() - start
+
+        group.forEach((key, i) => {
+          if (texts[i] === null || texts[i] === undefined) {
+            emit('miss', { key, latency })
+            return
+          }
+          try {
+            const value = codec.decode(texts[i])
+            found.set(key, value)
+            emit('hit', { key, latency }, value)
+          } catch (err) {
+            report(err, { operation: 'get', key })
+            emit('miss', { key, latency })
+          }
+        })
+      }))
+      return found
+    }
+
+    // Write results in one pipeline (per slot with a cluster client),
+    // `undefined` is not stored
+    async function write (keys, ids, results) {
+      const written = []
+      for (let i = 0; i < keys.length; i++) {
+        if (results[i] === undefined) {
+          continue
+        }
+        const ms = typeof ttl === 'function' ? await ttl.call(fn, results[i], ids[i]) : ttl
+        assert(Number.isFinite(ms) && ms > 0, '`ttl` function must return a positive number of milliseconds')
+        let text
+        try {
+          text = codec.encode(results[i])
+        } catch (err) {
+          report(err, { operation: 'set', key: keys[i] })
+          continue
+        }
+        written.push({ key: keys[i], text, ttl: ms, value: results[i] })
+      }
+
+      await Promise.all(groupBySlot(redis, written, item => item.key).map(async group => {
+        const pipeline = redis.pipeline()
+        for (const { key, text, ttl } of group) {
+          pipeline.set(key, text, 'PX', ttl)
+        }
+
+        const start = Date.now()
+        const replies = await guard('set', group[0].key, () => pipeline.exec())
+        if (!replies) {
+          return
+        }
+        const latency = Date.now() - start
+
+        // ioredis resolves one [error, result] pair per command
+        group.forEach(({ key, ttl, value }, i) => {
+          const [err] = replies[i]
+          if (err) {
+            report(err, { operation: 'set', key })
+          } else {
+            emit('set', { key, ttl, latency }, value)
+          }
+        })
+      }))
+    }
+
+    batched.raw = raw
+    batched.stats = fnStats
+    batched.fleetStats = fleetStats
+    batched.resetStats = resetStats
+
+    return batched
   }
-}
 
-/**
- * Default Redis setter: JSON.stringify value and set with PX TTL.
- *
- * @param {Object} redis Redis-like client.
- * @param {string} cacheKey Fully-qualified cache key.
- * @param {unknown} result Value to cache; undefined is not stored.
- * @param {number} ms TTL in milliseconds.
- * @returns {Promise<void>} Resolves when the value is written or error ignored.
- */
-async function defaultSet (redis, cacheKey, result, ms) {
-  // Do not save `undefined` value, `null` is ok
-  if (result === undefined) return
-  try {
-    await redis.set(cacheKey, JSON.stringify(result), 'PX', ms)
-  } catch (_) {}
+  /**
+   * Delete every entry carrying any of the given tags, on the memoizer
+   * client and the clients of tagged functions, and from the local caches.
+   *
+   * @param {string[]} tags Tags to invalidate.
+   * @returns {Promise<number>} Number of deleted entries.
+   */
+  async function invalidateTags (tags) {
+    assert(Array.isArray(tags) && tags.every(t => typeof t === 'string'), '`tags` must be an array of strings')
+    const clients = new Set(options.client ? [options.client, ...tagClients] : tagClients)
+    assert(clients.size > 0 && Array.from(clients).every(redis => typeof redis.zrange === 'function' && typeof redis.zrem === 'function' && typeof redis.unlink === 'function'), '`client` must implement zrange, zrem and unlink to invalidate tags')
+
+    const results = await Promise.all(tags.map(async t => {
+      const parts = await Promise.all(Array.from(clients, redis => invalidateTag(redis, tagPrefix + t)))
+      return { keys: parts.flatMap(part => part.keys), count: parts.reduce((sum, { count }) => sum + count, 0) }
+    }))
+    for (const [i, { keys }] of results.entries()) {
+      for (const localCache of localCaches) {
+        keys.forEach(key => localCache.delete(key))
+      }
+      if (keys.length) {
+        await broadcast(tagPrefix + tags[i], { keys })
+      }
+    }
+    return results.reduce((sum, { count }) => sum + count, 0)
+  }
+
+  /**
+   * Make all entries of functions with `generation` enabled unreachable,
+   * Redis drops them with their TTL.
+   *
+   * @returns {Promise<number>} New generation.
+   */
+  async function bumpVersion () {
+    return incrementGeneration(options.client, rootGenerationKey)
+  }
+
+  /**
+   * Delete every key starting with a prefix, on every master of a cluster
+   * client. Local caches of all functions are emptied too.
+   *
+   * @param {string} [prefix] Key prefix, default the memoizer `prefix`.
+   * @param {Object} [clearOptions] `{ count, dryRun }`, `count` is the SCAN batch size (default 100).
+   * @returns {Promise<number>} Number of deleted keys, or of matching keys with `dryRun`.
+   */
+  async function clearPrefix (prefix = options.prefix, clearOptions = {}) {
+    assert(typeof prefix === 'string' && prefix.length > 0, '`prefix` must be a non-empty string')
+    const { count, dryRun } = scanOptions(clearOptions)
+    const redis = options.client
+    assert(redis && typeof redis.scan === 'function' && typeof redis.unlink === 'function', '`client` must implement scan and unlink to clear entries')
+
+    if (!dryRun) {
+      for (const localCache of localCaches) {
+        localCache.clear()
+      }
+    }
+    const start = Date.now()
+    const deleted = await scanDelete(redis, escapeGlob(prefix) + '*', count, dryRun)
+    if (!dryRun) {
+      emit('clear', { key: prefix + '*', latency: Date.now() - start, count: deleted })
+      await broadcast(prefix + '*', { clear: true })
+    }
+    return deleted
+  }
+
+  // Memoizer-level counterpart of the per-function `publish`
+  async function broadcast (key, message) {
+    if (!subscriber) {
+      return
+    }
+    try {
+      await options.client.publish(channel, JSON.stringify(Object.assign({ source: instanceId }, message)))
+    } catch (err) {
+      fail(err, { operation: 'publish', key })
+    }
+  }
+
+  // Report an error of a memoizer-level operation to onError and `error` listeners
+  function fail (err, info) {
+    if (typeof options.onError === 'function') {
+      options.onError(err, info)
+    }
+    emit('error', Object.assign({ error: err }, info))
+  }
+
+  function emit (event, info) {
+    if (events.listenerCount(event) > 0) {
+      events.emit(event, info)
+    }
+  }
+
+  // Circuit breaker state of a client, shared by all functions using it
+  function breakerFor (client, circuitBreaker) {
+    assert(Number.isInteger(circuitBreaker.threshold) && circuitBreaker.threshold > 0, '`circuitBreaker.threshold` must be a positive integer')
+    assert(Number.isFinite(circuitBreaker.cooldown) && circuitBreaker.cooldown > 0, '`circuitBreaker.cooldown` must be a positive number of milliseconds')
+    if (!breakers.has(client)) {
+      breakers.set(client, { failures: 0, openUntil: 0 })
+    }
+    return breakers.get(client)
+  }
+
+  function batcherFor (client) {
+    let batcher = batchers.get(client)
+    if (!batcher) {
+      batcher = createBatcher(client)
+      batchers.set(client, batcher)
+    }
+    return batcher
+  }
+
+  /**
+   * Counters, events and error reporting of one function.
+   *
+   * @param {string} name String key or function name.
+   * @param {Object} codec Codec measuring value sizes.
+   * @param {Function} onError Error reporter of the function.
+   * @returns {Object} `{ report, emit, tally, stats, fleetStats, resetStats }`.
+   */
+  function createTracker (name, codec, onError) {
+    const fnCounters = createCounters()
+    counters.add(fnCounters)
+
+    // Report an error to onError and to `error` listeners
+    function report (err, info) {
+      onError(err, info)
+      track('error', Object.assign({ error: err }, info))
+    }
+
+    // Count and emit an event, the value size is only measured when someone
+    // listens. Local hits made no Redis call.
+    function track (event, info, value) {
+      const counter = COUNTED_EVENTS[event]
+      if (counter) {
+        tally(counter, 1)
+        if (info.latency !== undefined && !info.local) {
+          tally('redisCalls', 1)
+          tally('redisTime', info.latency)
+        }
+      }
+      if (events.listenerCount(event) === 0) {
+        return
+      }
+      if (value !== undefined) {
+        info.size = sizeOf(value, codec)
+      }
+      events.emit(event, Object.assign({ name }, info))
+    }
+
+    function tally (counter, amount) {
+      fnCounters[counter] += amount
+      if (stats) {
+        queueStat(name + ':' + counter, amount)
+      }
+    }
+
+    return {
+      report,
+      emit: track,
+      tally,
+      stats: () => summarize([fnCounters]),
+      fleetStats: () => readStats(name),
+      resetStats: () => {
+        Object.assign(fnCounters, createCounters())
+      }
+    }
+  }
+
+  function queueStat (field, amount) {
+    unflushed.set(field, (unflushed.get(field) || 0) + amount)
+    if (!flushTimer) {
+      flushTimer = setTimeout(flushStats, stats.interval)
+      flushTimer.unref()
+    }
+  }
+
+  /**
+   * Stop the refresh-ahead schedulers of all functions and flush pending
+   * stats, e.g. on shutdown; later hits start tracking keys again.
+   *
+   * @returns {Promise<void>} Resolves when the stats are flushed or error reported.
+   */
+  async function stop () {
+    for (const stopScheduler of schedulers) {
+      stopScheduler()
+    }
+    await flushStats()
+  }
+
+  /**
+   * Add the counters recorded since the last flush to the stats hash with
+   * `HINCRBY <key> <name>:<counter>`, done every `stats.interval`.
+   *
+   * @returns {Promise<void>} Resolves when flushed or error reported.
+   */
+  async function flushStats () {
+    clearTimeout(flushTimer)
+    flushTimer = null
+    const deltas = unflushed
+    unflushed = new Map()
+    if (deltas.size === 0) {
+      return
+    }
+    try {
+      await Promise.all(Array.from(deltas, ([field, amount]) => options.client.hincrby(stats.key, field, amount)))
+    } catch (err) {
+      if (typeof options.onError === 'function') {
+        options.onError(err, { operation: 'stats', key: stats.key })
+      }
+      emit('error', { error: err, operation: 'stats', key: stats.key })
+    }
+  }
+
+  /**
+   * Counters of all instances read from the stats hash.
+   *
+   * @param {string} [name] Only count this function.
+   * @returns {Promise<Object>} Same shape as `stats()`.
+   */
+  async function readStats (name) {
+    assert(stats, '`stats` must be enabled to read fleet-wide stats')
+    const hash = await options.client.hgetall(stats.key)
+    const totals = createCounters()
+    for (const [field, value] of Object.entries(hash || {})) {
+      const i = field.lastIndexOf(':')
+      const counter = field.slice(i + 1)
+      if ((name === undefined || field.slice(0, i) === name) && counter in totals) {
+        totals[counter] += Number(value)
+      }
+    }
+    return summarize([totals])
+  }
+
+  function resetStats () {
+    for (const fnCounters of counters) {
+      Object.assign(fnCounters, createCounters())
+    }
+  }
+
+  // `g<memoizer>.<function>:` part of keys, the function counter is 0
+  // without a generationKey
+  async function readGenerations (redis, generationKey, ttl, timeout) {
+    const counts = await Promise.all([
+      readGeneration(redis, rootGenerationKey, ttl, timeout),
+      generationKey ? readGeneration(redis, generationKey, ttl, timeout) : 0
+    ])
+    return 'g' + counts.join('.') + ':'
+  }
+
+  // Read a generation counter at most once per `ttl`
+  function readGeneration (redis, key, ttl, timeout) {
+    const now = Date.now()
+    const cached = generations.get(key)
+    if (cached && cached.expiresAt > now) {
+      return cached.pending
+    }
+
+    const read = Promise.resolve(redis.get(key))
+    const pending = (timeout ? withTimeout(read, timeout) : read).then(count => Number(count) || 0)
+    generations.set(key, { pending, expiresAt: now + ttl })
+    pending.catch(() => generations.delete(key))
+    return pending
+  }
+
+  async function incrementGeneration (redis, key) {
+    assert(redis && typeof redis.incr === 'function', '`client` must implement incr to bump the version')
+    const count = await redis.incr(key)
+    generations.delete(key)
+    return count
+  }
+
+  // Drop local entries invalidated by other instances, and everything
+  // after a reconnect since messages may have been missed meanwhile.
+  function listen () {
+    let dropped = false
+
+    subscriber.on('message', (_channel, message) => {
+      if (_channel !== channel) {
+        return
+      }
+      let data
+      try {
+        data = JSON.parse(message)
+      } catch (_) {
+        return
+      }
+      if (!data || data.source === instanceId) {
+        return
+      }
+      for (const localCache of localCaches) {
+        if (data.clear) {
+          localCache.clear()
+        } else {
+          (data.keys || [data.key]).forEach(key => localCache.delete(key))
+        }
+      }
+    })
+    subscriber.on('close', () => {
+      dropped = true
+    })
+    subscriber.on('ready', () => {
+      if (!dropped) {
+        return
+      }
+      dropped = false
+      for (const localCache of localCaches) {
+        localCache.clear()
+      }
+    })
+
+    Promise.resolve(subscriber.subscribe(channel)).catch(err => fail(err, { operation: 'subscribe', key: channel }))
+  }
+
+  memoize.events = events
+  memoize.batch = batch
+  memoize.invalidateTags = invalidateTags
+  memoize.bumpVersion = bumpVersion
+  memoize.clearPrefix = clearPrefix
+  memoize.stats = () => summarize(counters)
+  memoize.fleetStats = () => readStats()
+  memoize.flushStats = flushStats
+  memoize.resetStats = resetStats
+  memoize.stop = stop
+
+  return memoize
+}
+
+function assert (condition, message) {
+  if (!condition) throw new TypeError(message)
+}
+
+function noop () {}
+
+// Events counted in stats, and their counter
+const COUNTED_EVENTS = { hit: 'hits', miss: 'misses', set: 'sets', error: 'errors' }
+
+function createCounters () {
+  return { hits: 0, misses: 0, sets: 0, errors: 0, computes: 0, computeTime: 0, redisCalls: 0, redisTime: 0 }
+}
+
+/**
+ * Add up counters into hit ratio and averages.
+ *
+ * @param {Iterable<Object>} list Counters from `createCounters`.
+ * @returns {Object} `{ hits, misses, sets, errors, computes, hitRatio, avgComputeTime, avgLatency }`.
+ */
+function summarize (list) {
+  const totals = createCounters()
+  for (const item of list) {
+    for (const counter of Object.keys(totals)) {
+      totals[counter] += item[counter]
+    }
+  }
+  const lookups = totals.hits + totals.misses
+  return {
+    hits: totals.hits,
+    misses: totals.misses,
+    sets: totals.sets,
+    errors: totals.errors,
+    computes: totals.computes,
+    hitRatio: lookups ? totals.hits / lookups : 0,
+    avgComputeTime: totals.computes ? totals.computeTime / totals.computes : 0,
+    avgLatency: totals.redisCalls ? totals.redisTime / totals.redisCalls : 0
+  }
+}
+
+// Encoded size in bytes, undefined when the codec can't encode the value
+function sizeOf (value, codec) {
+  try {
+    return Buffer.byteLength(codec.encode(value))
+  } catch (_) {}
+}
+
+function scanOptions (clearOptions) {
+  assert(typeof clearOptions === 'object' && clearOptions !== null, '`options` must be object!')
+  const count = clearOptions.count === undefined ? 100 : clearOptions.count
+  assert(Number.isInteger(count) && count > 0, '`count` must be a positive integer')
+  return { count, dryRun: clearOptions.dryRun === true }
+}
+
+// Escape special characters of a regular expression
+function escapeRegExp (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Escape glob characters of a SCAN MATCH pattern
+function escapeGlob (text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&')
+}
+
+/**
+ * Delete keys matching a SCAN pattern batch by batch with UNLINK, on every
+ * master when the client is a cluster.
+ *
+ * @param {Object} redis Redis-like client, or cluster client with `nodes()`.
+ * @param {string} pattern SCAN MATCH pattern.
+ * @param {number} count SCAN COUNT hint.
+ * @param {boolean} dryRun Only count the matching keys.
+ * @param {Function} [filter] Keep only the matching keys passing `(key) => boolean`.
+ * @returns {Promise<number>} Number of deleted keys, or of matching keys with `dryRun`.
+ */
+async function scanDelete (redis, pattern, count, dryRun, filter = null) {
+  const cluster = typeof redis.nodes === 'function'
+  const nodes = cluster ? redis.nodes('master') : [redis]
+  let total = 0
+
+  for (const node of nodes) {
+    let cursor = '0'
+    do {
+      const [next, matched] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', count)
+      const keys = filter ? matched.filter(filter) : matched
+      cursor = String(next)
+      if (dryRun) {
+        total += keys.length
+      } else if (keys.length) {
+        // Keys of one cluster node can still hash to different slots
+        const counts = cluster ? await Promise.all(keys.map(key => node.unlink(key))) : [await node.unlink(...keys)]
+        total += counts.reduce((sum, n) => sum + n, 0)
+      }
+    } while (cursor !== '0')
+  }
+  return total
+}
+
+/**
+ * Remove the members of a tag set from it, then delete them grouped by
+ * cluster slot since members usually hash to different slots than the set.
+ * An entry written again meanwhile is either deleted or keeps its membership.
+ *
+ * @param {Object} redis Redis-like client, or cluster client with `nodes()`.
+ * @param {string} tagKey Key of the tag set.
+ * @returns {Promise<Object>} `{ keys, count }`: the members and the number of deleted entries.
+ */
+async function invalidateTag (redis, tagKey) {
+  const keys = await redis.zrange(tagKey, 0, -1)
+  if (keys.length === 0) {
+    return { keys, count: 0 }
+  }
+  await redis.zrem(tagKey, ...keys)
+  const counts = await Promise.all(groupBySlot(redis, keys, key => key).map(group => redis.unlink(...group)))
+  return { keys, count: counts.reduce((sum, count) => sum + count, 0) }
+}
+
+/**
+ * Deterministic key part for call arguments, hashed with sha256 when the
+ * serialization is longer than `maxLength`.
+ *
+ * @param {Array} args Call arguments.
+ * @param {number} maxLength Maximum length before hashing.
+ * @returns {string} Key part.
+ */
+function argsKey (args, maxLength) {
+  const text = serialize(args, [])
+  return text.length > maxLength ? createHash('sha256').update(text).digest('hex') : text
+}
+
+/**
+ * Stable serialization: object keys, Map entries and Set values are sorted,
+ * Dates, Buffers, BigInts, RegExps, objects with `toJSON` and circular
+ * references get distinct forms. Other class instances throw, their state
+ * may not be enumerable and they would all share one key.
+ *
+ * @param {unknown} value Value to serialize.
+ * @param {Array} stack Objects being serialized, to detect cycles.
+ * @returns {string} Serialized value.
+ */
+function serialize (value, stack) {
+  if (value === undefined) return 'undefined'
+  if (typeof value === 'number') return Number.isFinite(value) ? JSON.stringify(value) : String(value)
+  if (typeof value === 'bigint') return value + 'n'
+  if (typeof value !== 'object' || value === null) {
+    return typeof value === 'function' || typeof value === 'symbol' ? String(value) : JSON.stringify(value)
+  }
+  if (value instanceof Date) return `Date(${value.getTime()})`
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return `Buffer(${Buffer.from(value).toString('base64')})`
+  if (stack.includes(value)) return '[Circular]'
+
+  stack.push(value)
+  let text
+  if (Array.isArray(value)) {
+    text = '[' + value.map(item => serialize(item, stack)).join(',') + ']'
+  } else if (value instanceof Map) {
+    text = 'Map(' + Array.from(value, ([k, v]) => serialize(k, stack) + '=>' + serialize(v, stack)).sort().join(',') + ')'
+  } else if (value instanceof Set) {
+    text = 'Set(' + Array.from(value, item => serialize(item, stack)).sort().join(',') + ')'
+  } else if (value instanceof RegExp) {
+    text = String(value)
+  } else {
+    const name = (value.constructor && value.constructor.name) || 'Object'
+    if (typeof value.toJSON === 'function') {
+      text = name + '(' + serialize(value.toJSON(), stack) + ')'
+    } else {
+      const proto = Object.getPrototypeOf(value)
+      assert(proto === Object.prototype || proto === null, `\`keyArgs\` cannot serialize ${name} arguments, give them a toJSON method or use a \`key\` function`)
+      text = '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + serialize(value[k], stack)).join(',') + '}'
+    }
+  }
+  stack.pop()
+  return text
+}
+
+/**
+ * Check that a stored value is an entry `{ value, expiresAt, delta }`, `delta` is optional.
+ *
+ * @param {unknown} entry Value returned by the getter.
+ * @returns {boolean} Whether it is a valid entry.
+ */
+function isEntry (entry) {
+  return typeof entry === 'object' && entry !== null && Number.isFinite(entry.expiresAt) && ('value' in entry) &&
+    (entry.delta === undefined || Number.isFinite(entry.delta))
+}
+
+/**
+ * Create a bounded LRU map whose items expire at a given timestamp.
+ *
+ * @param {number} max Maximum number of items.
+ * @returns {Object} LRU with get/set/delete/clear.
+ */
+function createLru (max) {
+  // Map keeps insertion order, the first key is the least recently used
+  const items = new Map()
+
+  return {
+    get (key) {
+      const item = items.get(key)
+      if (!item) {
+        return
+      }
+      items.delete(key)
+      if (item.expiresAt <= Date.now()) {
+        return
+      }
+      items.set(key, item)
+      return item.value
+    },
+    set (key, value, expiresAt) {
+      items.delete(key)
+      items.set(key, { value, expiresAt })
+      if (items.size > max) {
+        items.delete(items.keys().next().value)
+      }
+    },
+    delete (key) {
+      items.delete(key)
+    },
+    clear () {
+      items.clear()
+    }
+  }
+}
+
+/**
+ * Turn a stored sentinel back into its meaning: `{ $memoize: 'undefined' }`
+ * is an `undefined` value and `{ $memoize: 'error', name, message, code }` a
+ * cached error.
+ *
+ * @param {Object} entry Entry `{ value, expiresAt, delta }`.
+ * @returns {Object} Entry with `value` and optional `error`.
+ */
+function revive (entry) {
+  const value = entry.value
+  if (typeof value !== 'object' || value === null) return entry
+  if (value.$memoize === 'undefined') return Object.assign({}, entry, { value: undefined })
+  if (value.$memoize === 'error') return Object.assign({}, entry, { value: undefined, error: value })
+  return entry
+}
+
+/**
+ * Value of an entry, or a new error equivalent to the cached one.
+ *
+ * @param {Object} entry Entry returned by `revive`.
+ * @returns {unknown} Cached value.
+ */
+function unwrap (entry) {
+  if (entry.error) {
+    const err = new Error(entry.error.message)
+    err.name = entry.error.name
+    if (entry.error.code !== undefined) err.code = entry.error.code
+    throw err
+  }
+  return entry.value
+}
+
+function toErrorSentinel (err) {
+  if (!(err instanceof Error)) {
+    return { $memoize: 'error', name: 'Error', message: String(err) }
+  }
+  return { $memoize: 'error', name: err.name, message: err.message, code: err.code }
+}
+
+/**
+ * Client facade collecting the GET, GET of buffers and SET PX calls made in
+ * the same tick, sent as one MGET, one MGET of buffers and one pipeline, per
+ * slot with a cluster client.
+ *
+ * @param {Object} redis Redis-like client with mget/mgetBuffer/pipeline.
+ * @returns {Object} `{ get, getBuffer, set }` resolving like the client.
+ */
+function createBatcher (redis) {
+  let queue = null
+
+  function enqueue (kind, args) {
+    if (!queue) {
+      queue = { get: [], getBuffer: [], set: [] }
+      // Like DataLoader, wait for the promise jobs of this tick too
+      Promise.resolve().then(() => process.nextTick(flush))
+    }
+    return new Promise((resolve, reject) => queue[kind].push({ args, resolve, reject }))
+  }
+
+  function flush () {
+    const { get, getBuffer, set } = queue
+    queue = null
+    const keyOf = item => item.args[0]
+    for (const group of groupBySlot(redis, get, keyOf)) {
+      settle(group, () => redis.mget(...group.map(keyOf)))
+    }
+    for (const group of groupBySlot(redis, getBuffer, keyOf)) {
+      settle(group, () => redis.mgetBuffer(...group.map(keyOf)))
+    }
+    for (const group of groupBySlot(redis, set, keyOf)) {
+      settle(group, () => {
+        const pipeline = redis.pipeline()
+        for (const item of group) {
+          pipeline.set(...item.args)
+        }
+        return pipeline.exec()
+      }, replies => replies.map(([err, result]) => err || result))
+    }
+  }
+
+  return {
+    get: (key) => enqueue('get', [key]),
+    getBuffer: (key) => enqueue('getBuffer', [key]),
+    set: (...args) => enqueue('set', args)
+  }
+}
+
+/**
+ * Split items into groups sent with one multi-key command. Keys of a cluster
+ * client (with `nodes()`) are grouped by hash tag, so a group never spans
+ * slots.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {Array} items Items to group.
+ * @param {Function} keyOf Key of an item.
+ * @returns {Array<Array>} Non-empty groups.
+ */
+function groupBySlot (redis, items, keyOf) {
+  if (items.length === 0) return []
+  if (typeof redis.nodes !== 'function') return [items]
+
+  const groups = new Map()
+  for (const item of items) {
+    const part = hashPart(keyOf(item))
+    if (!groups.has(part)) groups.set(part, [])
+    groups.get(part).push(item)
+  }
+  return Array.from(groups.values())
+}
+
+// Part of a key hashed by Redis Cluster: the content of the first `{...}`
+// when not empty, else the whole key
+function hashPart (key) {
+  const start = key.indexOf('{')
+  const end = start === -1 ? -1 : key.indexOf('}', start + 1)
+  return end > start + 1 ? key.slice(start + 1, end) : key
+}
+
+// Settle each queued call with its result, errors reject the call
+function settle (items, send, toResults = replies => replies) {
+  new Promise(resolve => resolve(send())).then(replies => {
+    toResults(replies).forEach((result, i) => {
+      if (result instanceof Error) {
+        items[i].reject(result)
+      } else {
+        items[i].resolve(result)
+      }
+    })
+  }, err => {
+    for (const item of items) {
+      item.reject(err)
+    }
+  })
+}
+
+// Reject with a TimeoutError when the promise takes longer than ms
+function withTimeout (promise, ms) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Operation timed out after ${ms}ms`)
+      err.name = 'TimeoutError'
+      reject(err)
+    }, ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Delete the lock only if it still holds our token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`
+
+// Drop expired members, add the key scored by its expiry and let the tag set
+// itself expire with its longest-living member
+const ADD_TAG_SCRIPT = `
+redis.call("zremrangebyscore", KEYS[1], "-inf", ARGV[3])
+redis.call("zadd", KEYS[1], ARGV[2], ARGV[1])
+local last = redis.call("zrange", KEYS[1], -1, -1, "WITHSCORES")
+redis.call("pexpireat", KEYS[1], last[2])
+return 1
+`
+
+// Write a hash field, let Redis 7.4+ expire it with HPEXPIRE and the hash
+// itself expire with its longest-living field
+const HASH_SET_SCRIPT = `
+redis.call("hset", KEYS[1], ARGV[1], ARGV[2])
+redis.pcall("hpexpire", KEYS[1], ARGV[3], "FIELDS", 1, ARGV[1])
+if redis.call("pttl", KEYS[1]) < tonumber(ARGV[3]) then
+  redis.call("pexpire", KEYS[1], ARGV[3])
+end
+return 1
+`
+
+// Delete a hash, returning how many fields it had
+const CLEAR_HASH_SCRIPT = `
+local count = redis.call("hlen", KEYS[1])
+redis.call("unlink", KEYS[1])
+return count
+`
+
+/**
+ * Try to take a lock with `SET NX PX`.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {string} lockKey Lock key.
+ * @param {string} token Unique token of the lock holder.
+ * @param {number} ms Lock TTL in milliseconds.
+ * @returns {Promise<boolean>} Whether the lock was acquired, rejects on redis errors.
+ */
+async function acquireLock (redis, lockKey, token, ms) {
+  return (await redis.set(lockKey, token, 'PX', ms, 'NX')) === 'OK'
+}
+
+/**
+ * Release a lock taken by `acquireLock` with a token-checked delete.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {string} lockKey Lock key.
+ * @param {string} token Unique token of the lock holder.
+ * @returns {Promise<void>} Resolves when the lock is released, rejects on redis errors.
+ */
+async function releaseLock (redis, lockKey, token) {
+  await redis.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token)
+}
+
+/**
+ * Default Redis getter: decode value, null treated as cache miss.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {string} cacheKey Fully-qualified cache key.
+ * @param {Object} codec Codec with encode/decode.
+ * @param {Object|null} compress Compression options; values are then read with `getBuffer`.
+ * @param {number} slide TTL in milliseconds reset on read with `GETEX`, 0 to only read.
+ * @param {Function} report Called with decode errors.
+ * @returns {Promise<unknown|undefined>} Parsed value or undefined on miss/decode error, rejects on redis errors.
+ */
+async function defaultGet (redis, cacheKey, codec, compress, slide, report) {
+  let raw
+  if (compress) {
+    raw = await (slide ? redis.getexBuffer(cacheKey, 'PX', slide) : redis.getBuffer(cacheKey))
+  } else {
+    raw = await (slide ? redis.getex(cacheKey, 'PX', slide) : redis.get(cacheKey))
+  }
+  // null -> treat as undefined (cache miss)
+  if (raw === null) return
+  try {
+    return codec.decode(compress ? await readBuffer(raw) : raw)
+  } catch (err) {
+    // If stored value can't be decoded, treat as miss
+    report(err)
+  }
+}
+
+/**
+ * Default Redis setter: encode value and set with PX TTL.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {string} cacheKey Fully-qualified cache key.
+ * @param {unknown} result Value to cache; undefined is not stored.
+ * @param {number} ms TTL in milliseconds.
+ * @param {Object} codec Codec with encode/decode.
+ * @param {Object|null} compress Compression options `{ threshold, algorithm }`.
+ * @param {Function} report Called with encode errors.
+ * @returns {Promise<void>} Resolves when the value is written or encode error reported, rejects on redis errors.
+ */
+async function defaultSet (redis, cacheKey, result, ms, codec, compress, report) {
+  // Do not save `undefined` value, `null` is ok
+  if (result === undefined) return
+  let text
+  try {
+    text = codec.encode(result)
+    if (compress) text = await writeBuffer(text, compress)
+  } catch (err) {
+    report(err)
+    return
+  }
+  await redis.set(cacheKey, text, 'PX', ms)
+}
+
+/**
+ * Hash storage getter: read a field written by `hashSet`, expired fields
+ * left by Redis versions without HPEXPIRE are misses.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {string} hashKey Hash of the function.
+ * @param {string} field Field of the entry.
+ * @param {Object} codec Codec with encode/decode.
+ * @param {Object|null} compress Compression options; values are then read with `hgetBuffer`.
+ * @param {Function} report Called with decode errors.
+ * @returns {Promise<unknown|undefined>} Parsed value or undefined on miss/decode error, rejects on redis errors.
+ */
+async function hashGet (redis, hashKey, field, codec, compress, report) {
+  const raw = await (compress ? redis.hgetBuffer(hashKey, field) : redis.hget(hashKey, field))
+  if (raw === null) return
+  const at = raw.indexOf(':')
+  if (!(Number(raw.slice(0, at).toString()) > Date.now())) return
+  try {
+    return codec.decode(compress ? await readBuffer(raw.subarray(at + 1)) : raw.slice(at + 1))
+  } catch (err) {
+    report(err)
+  }
+}
+
+/**
+ * Hash storage setter: write `<expiresAt>:<value>` to the field with
+ * `HASH_SET_SCRIPT`.
+ *
+ * @param {Object} redis Redis-like client.
+ * @param {string} hashKey Hash of the function.
+ * @param {string} field Field of the entry.
+ * @param {unknown} result Value to cache; undefined is not stored.
+ * @param {number} ms TTL in milliseconds.
+ * @param {Object} codec Codec with encode/decode.
+ * @param {Object|null} compress Compression options `{ threshold, algorithm }`.
+ * @param {Function} report Called with encode errors.
+ * @returns {Promise<void>} Resolves when the value is written or encode error reported, rejects on redis errors.
+ */
+async function hashSet (redis, hashKey, field, result, ms, codec, compress, report) {
+  if (result === undefined) return
+  let value
+  try {
+    const text = codec.encode(result)
+    value = compress ? await writeBuffer(text, compress) : text
+  } catch (err) {
+    report(err)
+    return
+  }
+  const expiresAt = (Date.now() + ms) + ':'
+  value = typeof value === 'string' ? expiresAt + value : Buffer.concat([Buffer.from(expiresAt), value])
+  await redis.eval(HASH_SET_SCRIPT, 1, hashKey, field, value, ms)
+}
+
+// Compressed values start with a marker byte that never begins encoded text
+const COMPRESSORS = {
+  gzip: { marker: 0x01, compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  brotli: { marker: 0x02, compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress) }
+}
+
+/**
+ * Compress text over the threshold, prefixed with the algorithm marker byte.
+ *
+ * @param {string} text Encoded value.
+ * @param {Object} compress Compression options `{ threshold, algorithm }`.
+ * @returns {Promise<string|Buffer>} Text as is, or marker byte + compressed bytes.
+ */
+async function writeBuffer (text, compress) {
+  if (Buffer.byteLength(text) <= compress.threshold) return text
+  const compressor = COMPRESSORS[compress.algorithm]
+  return Buffer.concat([Buffer.from([compressor.marker]), await compressor.compress(text)])
+}
+
+/**
+ * Read a value written by `writeBuffer`, or by the setter without compression.
+ *
+ * @param {Buffer} buffer Raw value.
+ * @returns {Promise<string>} Decompressed text.
+ */
+async function readBuffer (buffer) {
+  for (const compressor of Object.values(COMPRESSORS)) {
+    if (buffer[0] === compressor.marker) {
+      return (await compressor.decompress(buffer.subarray(1))).toString()
+    }
+  }
+  return buffer.toString()
+}
+
+/**
+ * Convert a value to a JSON-safe tree where Date, Map, Set, BigInt, Buffer,
+ * undefined and non-finite numbers become `{ $t: type, v: data }`.
+ *
+ * @param {unknown} value Value to convert.
+ * @param {Array} stack Objects being converted, to detect cycles.
+ * @returns {unknown} JSON-safe value.
+ */
+function toTyped (value, stack) {
+  if (value === undefined) return { $t: 'undefined' }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : { $t: 'Number', v: String(value) }
+  if (typeof value === 'bigint') return { $t: 'BigInt', v: value.toString() }
+  if (typeof value !== 'object' || value === null) return value
+  if (value instanceof Date) return { $t: 'Date', v: value.getTime() }
+  if (Buffer.isBuffer(value)) return { $t: 'Buffer', v: value.toString('base64') }
+  if (stack.includes(value)) throw new TypeError('Converting circular structure')
+
+  stack.push(value)
+  let typed
+  if (Array.isArray(value)) {
+    typed = value.map(item => toTyped(item, stack))
+  } else if (value instanceof Map) {
+    typed = { $t: 'Map', v: Array.from(value, ([k, v]) => [toTyped(k, stack), toTyped(v, stack)]) }
+  } else if (value instanceof Set) {
+    typed = { $t: 'Set', v: Array.from(value, item => toTyped(item, stack)) }
+  } else if (typeof value.toJSON === 'function') {
+    typed = toTyped(value.toJSON(), stack)
+  } else {
+    typed = {}
+    for (const key of Object.keys(value)) {
+      typed[key] = toTyped(value[key], stack)
+    }
+    // Escape plain objects that look like a tagged value
+    if ('$t' in value) typed = { $t: 'Object', v: typed }
+  }
+  stack.pop()
+  return typed
+}
+
+/**
+ * Inverse of `toTyped`.
+ *
+ * @param {unknown} value Parsed JSON value.
+ * @returns {unknown} Original value.
+ */
+function fromTyped (value) {
+  if (typeof value !== 'object' || value === null) return value
+  if (Array.isArray(value)) return value.map(fromTyped)
+
+  switch (value.$t) {
+    case 'undefined': return undefined
+    case 'Number': return Number(value.v)
+    case 'BigInt': return BigInt(value.v)
+    case 'Date': return new Date(value.v)
+    case 'Buffer': return Buffer.from(value.v, 'base64')
+    case 'Map': return new Map(value.v.map(([k, v]) => [fromTyped(k), fromTyped(v)]))
+    case 'Set': return new Set(value.v.map(fromTyped))
+    case 'Object': value = value.v
+  }
+
+  const result = {}
+  for (const key of Object.keys(value)) {
+    result[key] = fromTyped(value[key])
+  }
+  return result
+}
+
+const CODECS = {
+  json: {
+    encode: JSON.stringify,
+    decode: JSON.parse
+  },
+  // Round-trips Date, Map, Set, BigInt, Buffer and undefined; reads plain JSON too
+  typed: {
+    encode: (value) => JSON.stringify(toTyped(value, [])),
+    decode: (text) => fromTyped(JSON.parse(text))
+  }
 }
@@ -1,7 +1,128 @@
 export interface RedisClient {
   get(key: string): Promise<string | null> | string | null
-  set(key: string, value: string, mode: 'PX', ttl: number): Promise<unknown> | unknown
+  getBuffer?(key: string): Promise<Buffer | null> | Buffer | null
+  getex?(key: string, mode: 'PX', ttl: number): Promise<string | null> | string | null
+  getexBuffer?(key: string, mode: 'PX', ttl: number): Promise<Buffer | null> | Buffer | null
+  pexpire?(key: string, ttl: number): Promise<number> | number
+  set(key: string, value: string | Buffer, mode: 'PX', ttl: number): Promise<unknown> | unknown
   del(key: string): Promise<number> | number
+  eval?(script: string, numKeys: number, ...args: Array<string | number | Buffer>): Promise<unknown> | unknown
+  publish?(channel: string, message: string): Promise<unknown> | unknown
+  incr?(key: string): Promise<number> | number
+  exists?(key: string): Promise<number> | number
+  hincrby?(key: string, field: string, increment: number): Promise<number> | number
+  hgetall?(key: string): Promise<Record<string, string>> | Record<string, string>
+  /** `invalidateTags` */
+  zrange?(key: string, start: number, stop: number): Promise<string[]> | string[]
+  zrem?(key: string, ...members: string[]): Promise<number> | number
+  /** `storage: 'hash'` */
+  hget?(key: string, field: string): Promise<string | null> | string | null
+  hgetBuffer?(key: string, field: string): Promise<Buffer | null> | Buffer | null
+  hdel?(key: string, ...fields: string[]): Promise<number> | number
+  hlen?(key: string): Promise<number> | number
+  mget?(...keys: string[]): Promise<Array<string | null>> | Array<string | null>
+  mgetBuffer?(...keys: string[]): Promise<Array<Buffer | null>> | Array<Buffer | null>
+  pipeline?(): RedisPipeline
+  unlink?(...keys: string[]): Promise<number> | number
+  scan?(cursor: string, match: 'MATCH', pattern: string, count: 'COUNT', size: number): Promise<[string, string[]]> | [string, string[]]
+  /** Cluster clients: `clearAll`/`clearPrefix` scan every master */
+  nodes?(role: 'master'): RedisClient[]
+}
+
+export interface RedisPipeline {
+  set(key: string, value: string | Buffer, mode: 'PX', ttl: number): unknown
+  /** Resolves to one `[error, result]` pair per command */
+  exec(): Promise<Array<[Error | null, unknown]> | null>
+}
+
+export interface SubscriberClient {
+  subscribe(channel: string): Promise<unknown> | unknown
+  on(event: 'message', listener: (channel: string, message: string) => void): unknown
+  on(event: 'close' | 'ready', listener: () => void): unknown
+}
+
+export interface Codec {
+  encode(value: unknown): string
+  decode(text: string): unknown
+}
+
+export interface CompressOptions {
+  /** Minimum encoded size in bytes before compressing, default 1024 */
+  threshold?: number
+  /** Compression algorithm, default `gzip` */
+  algorithm?: 'gzip' | 'brotli'
+}
+
+export interface CacheErrorsOptions<Args extends any[] = any[]> {
+  /** Time to live of cached errors in milliseconds, default `ttl` */
+  ttl?: number
+  /** Return false to not cache an error */
+  filter?: (error: unknown, ...args: Args) => boolean | Promise<boolean>
+}
+
+export interface KeyArgsOptions {
+  /** Serializations longer than this are replaced by their sha256 hex digest, default 128 */
+  maxLength?: number
+}
+
+export interface GenerationOptions {
+  /** How long generation counters read from Redis are reused in milliseconds, default 1000 */
+  ttl?: number
+}
+
+export interface RefreshAheadOptions {
+  /** Refresh entries expiring within this many milliseconds, default 2000 or half a shorter numeric `ttl`; must be lower than a numeric `ttl` */
+  threshold?: number
+  /** How often tracked entries are checked in milliseconds, default 1000 */
+  interval?: number
+  /** Most keys tracked at once, the least recently hit are forgotten first, default 1000 */
+  max?: number
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive read, write, lock or tag failures opening the circuit, default 5 */
+  threshold?: number
+  /** How long Redis is skipped in milliseconds, default 10000 */
+  cooldown?: number
+}
+
+export interface StatsOptions {
+  /** Redis hash holding the counters of all instances, default `<prefix>stats` */
+  key?: string
+  /** How often counters are added to the hash in milliseconds, default 5000 */
+  interval?: number
+}
+
+export interface Stats {
+  hits: number
+  misses: number
+  sets: number
+  /** Errors reported to `onError` */
+  errors: number
+  /** Successful calls of the function */
+  computes: number
+  /** hits / (hits + misses), 0 without lookups */
+  hitRatio: number
+  /** Average duration of successful calls in milliseconds */
+  avgComputeTime: number
+  /** Average duration of Redis reads and writes in milliseconds, local hits excluded */
+  avgLatency: number
+}
+
+export interface ClearOptions {
+  /** SCAN COUNT hint, default 100 */
+  count?: number
+  /** Only count the matching keys */
+  dryRun?: boolean
+}
+
+export interface LockOptions {
+  /** Lock TTL in milliseconds, default 5000 */
+  ttl?: number
+  /** How long other callers wait for the value before calling fn themselves, default `ttl` */
+  timeout?: number
+  /** Polling interval in milliseconds, default 50 */
+  interval?: number
 }
 
 export type KeyGenerator<Args extends any[]> =
@@ -20,6 +141,55 @@ export type Setter<Result> = (
   ttl: number
 ) => Promise<unknown> | unknown
 
+/** Stored entry when `staleTtl`, `staleIfError`, `earlyRefresh`, `refreshAhead` or `local` (without `sliding`) is enabled; custom get/set receive and return this shape */
+export interface CacheEntry<Result = any> {
+  value: Result
+  /** Logical expiry timestamp in milliseconds */
+  expiresAt: number
+  /** How long the last computation took in milliseconds */
+  delta?: number
+}
+
+export interface ErrorInfo {
+  /** What failed: `refresh` for a background refresh, `staleIfError` when a stale value was returned instead, `tag` for tag index writes, `publish`/`subscribe` for local cache invalidation, `cacheErrors` when an error could not be cached, `touch` when a sliding expiry could not be reset, `lock` when a lock could not be taken or released, `generation` when the generation counters could not be read, `get`/`set` when a cache read or write failed or timed out, `stats` when the stats hash could not be written */
+  operation: string
+  /** Fully-qualified cache key */
+  key: string
+}
+
+export interface CacheEvent {
+  /** String `key` or `fn.name` of the function, missing for `clearPrefix` */
+  name?: string
+  /** Fully-qualified cache key, or pattern for `clearAll`/`clearPrefix` */
+  key?: string
+  /** Time spent in Redis in milliseconds */
+  latency?: number
+  /** Encoded value size in bytes */
+  size?: number
+}
+
+export interface MemoizeEvents {
+  hit: CacheEvent & { stale?: boolean, local?: boolean }
+  miss: CacheEvent
+  set: CacheEvent & { ttl: number }
+  skip: CacheEvent & { reason: 'key' | 'shouldCache' }
+  clear: CacheEvent & { count: number }
+  error: CacheEvent & ErrorInfo & { error: unknown }
+}
+
+export interface MemoizeEmitter {
+  on<E extends keyof MemoizeEvents>(event: E, listener: (event: MemoizeEvents[E]) => void): this
+  once<E extends keyof MemoizeEvents>(event: E, listener: (event: MemoizeEvents[E]) => void): this
+  off<E extends keyof MemoizeEvents>(event: E, listener: (event: MemoizeEvents[E]) => void): this
+}
+
+export interface LocalOptions {
+  /** Maximum number of entries kept in memory, default 1000 */
+  max?: number
+  /** Time to live in memory in milliseconds, capped at `ttl` (default); required when `ttl` is a function */
+  ttl?: number
+}
+
 export interface MemoizeOptions<Args extends any[] = any[], Result = any> {
   /** Redis client (must implement get/set/del) */
   client?: RedisClient
@@ -27,23 +197,96 @@ export interface MemoizeOptions<Args extends any[] = any[], Result = any> {
   prefix?: string
   /** Default key or key generator; return false to skip caching */
   key?: KeyGenerator<Args>
-  /** Time to live in milliseconds */
-  ttl?: number
+  /** Append a stable serialization of the arguments to string keys (and the default `fn.name` key) */
+  keyArgs?: boolean | KeyArgsOptions
+  /** Version added after `prefix` to every key */
+  version?: string | number
+  /** Redis Cluster hash tag: `true` for the string `key` or `fn.name`, or a function of the arguments returning it */
+  hashTag?: boolean | ((...args: Args) => string | Promise<string>)
+  /** `'hash'` stores the entries of a function as fields of one hash, expired per field (requires `hget`/`hdel`/`hlen`/`eval`) */
+  storage?: 'key' | 'hash'
+  /** Add the memoizer and function generation counters to every key (requires `incr` to bump them) */
+  generation?: boolean | GenerationOptions
+  /** Time to live in milliseconds, or a function of the result and arguments returning it */
+  ttl?: number | ((result: Result, ...args: Args) => number | Promise<number>)
+  /** Return false to not store a result */
+  shouldCache?: (result: Result, ...args: Args) => boolean | Promise<boolean>
+  /** Reset the expiry to `ttl` on every hit (requires `getex`, or `pexpire` with a custom getter), not with `cacheUndefined`/`cacheErrors` */
+  sliding?: boolean
+  /** With `sliding`, maximum lifetime of an entry in milliseconds */
+  maxAge?: number
+  /** Cache `undefined` results; a number sets their TTL in milliseconds */
+  cacheUndefined?: boolean | number
+  /** Cache errors thrown by the function and rethrow an equivalent error */
+  cacheErrors?: boolean | CacheErrorsOptions<Args>
+  /** Serializer of the default getter/setter, default `'json'` */
+  codec?: 'json' | 'typed' | Codec
+  /** Compress large values of the default getter/setter (requires `getBuffer`) */
+  compress?: boolean | CompressOptions
   /** Custom getter for this memoizer */
   get?: Getter<Result>
   /** Custom setter for this memoizer */
   set?: Setter<Result>
+  /** Share one in-flight computation between concurrent calls with the same key */
+  dedupe?: boolean
+  /** Take a Redis lock on cache miss so only one process computes the value (requires `eval`) */
+  lock?: boolean | LockOptions
+  /** Serve an expired value for this long in milliseconds while it is refreshed in background */
+  staleTtl?: number
+  /** Return an expired value for this long in milliseconds when recomputing it throws */
+  staleIfError?: number
+  /** Refresh in background before expiry with XFetch; a number sets `beta` (default 1) */
+  earlyRefresh?: boolean | number
+  /** Refresh recently hit entries in background shortly before they expire */
+  refreshAhead?: boolean | RefreshAheadOptions
+  /** Tags of each entry, or a function of the result and arguments returning them (requires `eval`) */
+  tags?: string[] | ((result: Result, ...args: Args) => string[] | Promise<string[]>)
+  /** In-memory LRU checked before Redis */
+  local?: boolean | LocalOptions
+  /** Cache reads and writes, lock commands and tag writes taking longer in milliseconds fail, reads then count as misses */
+  operationTimeout?: number
+  /** Skip Redis for a cooldown after consecutive read, write, lock or tag failures */
+  circuitBreaker?: boolean | CircuitBreakerOptions
+  /** Called for errors that are not thrown to the caller */
+  onError?: (error: unknown, info: ErrorInfo) => void
+  /** Dedicated connection receiving local cache invalidations (memoizer option, `client` must implement publish) */
+  subscriber?: SubscriberClient
+  /** Send the default getter/setter reads of one tick in one MGET and writes in one pipeline (memoizer option, requires `mget` and `pipeline`) */
+  autoBatch?: boolean
+  /** Also add the counters of all instances in a Redis hash (memoizer option, requires `hincrby` and `hgetall`) */
+  stats?: boolean | StatsOptions
 }
 
 export type FnOptions<Args extends any[] = any[], Result = any> = MemoizeOptions<Args, Result>
 
+export interface WarmProgress {
+  total: number
+  done: number
+  warmed: number
+  skipped: number
+  failed: number
+}
+
+export interface WarmOptions<Args extends any[] = any[]> {
+  /** Maximum number of calls at a time, default 10 */
+  concurrency?: number
+  /** Recompute entries that already exist, default false */
+  force?: boolean
+  /** Called after each argument list, with the error if it failed */
+  onProgress?: (progress: WarmProgress & { args: Args, error?: unknown }) => void
+}
+
+export interface WarmResult<Args extends any[] = any[]> extends WarmProgress {
+  failures: Array<{ args: Args, error: unknown }>
+}
+
 export interface MemoizedFn<Args extends any[] = any[], Result = any> {
   (...args: Args): Promise<Result>
 
   /** Call the underlying function without using cache. */
   raw(...args: Args): Promise<Result>
 
-  /** Get cached value for given arguments without calling the function. */
+  /** Get cached value for given arguments without calling the function; expired values, even if kept for a stale window, are not returned. */
   get(...args: Args): Promise<Result | undefined>
 
   /** Manually set cached value for given arguments. */
@@ -51,6 +294,108 @@ export interface MemoizedFn<Args extends any[] = any[], Result = any> {
 
   /** Clear cached value for given arguments. */
   clear(...args: Args): Promise<number | undefined>
+
+  /** Delete every entry of this function (string keys only) with SCAN and UNLINK, or its hash with `storage: 'hash'`, resolves to the number of deleted entries. */
+  clearAll(options?: ClearOptions): Promise<number>
+
+  /** Increment the generation of this function, resolves to the new generation. */
+  bumpVersion(): Promise<number>
+
+  /** Call the function for every argument list and store the results, skipping fresh entries unless `force`. */
+  warm(argsList: Args[], options?: WarmOptions<Args>): Promise<WarmResult<Args>>
+
+  /** Counters of this function in this process. */
+  stats(): Stats
+
+  /** Counters of this function in all instances, read from the stats hash. */
+  fleetStats(): Promise<Stats>
+
+  /** Reset the counters of this function in this process. */
+  resetStats(): void
+
+  /** Stop the refresh-ahead scheduler of this function and forget its tracked keys. */
+  stop(): void
+}
+
+export interface BatchOptions<Id = any, Result = any> {
+  /** Redis client (must implement mget/pipeline) */
+  client?: RedisClient
+  /** Key prefix for all cache entries */
+  prefix?: string
+  /** A string followed by `:<id>` (ids must be strings or numbers), or a function returning the key of an id */
+  key?: string | ((id: Id) => string | Promise<string>)
+  /** Version added after `prefix` to every key */
+  version?: string | number
+  /** Generation counters shared with memoized functions of the same `key` */
+  generation?: boolean | GenerationOptions
+  /** Redis Cluster hash tag: `true` for a string `key`, or a function of the id returning it (with any `key`) */
+  hashTag?: boolean | ((id: Id) => string | Promise<string>)
+  /** Time to live in milliseconds, or a function of the result and id returning it */
+  ttl?: number | ((result: Result, id: Id) => number | Promise<number>)
+  /** Serializer of cached results, default `'json'` */
+  codec?: 'json' | 'typed' | Codec
+  /** Fail each MGET or pipeline taking longer than this many milliseconds, default 0 (no timeout) */
+  operationTimeout?: number
+  /** Skip Redis for a cooldown after consecutive MGET or pipeline failures, shared with the functions of the same client */
+  circuitBreaker?: boolean | CircuitBreakerOptions
+  /** Called for errors that are not thrown to the caller */
+  onError?: (error: unknown, info: ErrorInfo) => void
+}
+
+export interface BatchedFn<Id = any, Result = any> {
+  (ids: Id[]): Promise<Result[]>
+
+  /** Call the underlying function without using cache. */
+  raw(ids: Id[]): Promise<Result[]>
+
+  /** Counters of this function in this process. */
+  stats(): Stats
+
+  /** Counters of this function in all instances, read from the stats hash. */
+  fleetStats(): Promise<Stats>
+
+  /** Reset the counters of this function in this process. */
+  resetStats(): void
+}
+
+export interface Memoizer<GlobalArgs extends any[] = any[], GlobalResult = any> {
+  <Args extends any[] = GlobalArgs, Result = GlobalResult>(
+    fn: (...args: Args) => Promise<Result> | Result,
+    fnOptions?: FnOptions<Args, Result> | number
+  ): MemoizedFn<Args, Result>
+
+  /** EventEmitter of hit/miss/set/skip/clear/error events of all functions */
+  events: MemoizeEmitter
+
+  /** Memoize a function loading many ids at once with one MGET and one pipelined write. */
+  batch<Id = any, Result = any>(
+    fn: (ids: Id[]) => Promise<Result[]> | Result[],
+    fnOptions?: BatchOptions<Id, Result> | number
+  ): BatchedFn<Id, Result>
+
+  /** Delete every entry carrying any of the given tags on the clients of tagged functions and the local caches, resolves to the number of deleted entries. */
+  invalidateTags(tags: string[]): Promise<number>
+
+  /** Delete every key starting with `prefix` (default the memoizer `prefix`), resolves to the number of deleted keys. */
+  clearPrefix(prefix?: string, options?: ClearOptions): Promise<number>
+
+  /** Increment the memoizer generation, resolves to the new generation. */
+  bumpVersion(): Promise<number>
+
+  /** Counters of all functions in this process. */
+  stats(): Stats
+
+  /** Counters of all functions in all instances, read from the stats hash. */
+  fleetStats(): Promise<Stats>
+
+  /** Add pending counters to the stats hash now. */
+  flushStats(): Promise<void>
+
+  /** Reset the counters of all functions in this process. */
+  resetStats(): void
+
+  /** Stop the refresh-ahead schedulers of all functions and flush pending stats. */
+  stop(): Promise<void>
 }
 
 /**
@@ -60,9 +405,6 @@ export interface MemoizedFn<Args extends any[] = any[], Result = any> {
  */
 declare function Memoize<GlobalArgs extends any[] = any[], GlobalResult = any>(
   options?: MemoizeOptions<GlobalArgs, GlobalResult>
-): <Args extends any[] = GlobalArgs, Result = GlobalResult>(
-  fn: (...args: Args) => Promise<Result> | Result,
-  fnOptions?: FnOptions<Args, Result> | number
-) => MemoizedFn<Args, Result>
+): Memoizer<GlobalArgs, GlobalResult>
 
 export default Memoize